@@ -19,13 +19,37 @@
 
 import { spawn, execSync, spawnSync } from "child_process";
 import { randomUUID } from "crypto";
-import { readFileSync } from "fs";
 import path from "path";
-import { MatrixListener } from "./matrix-listener.js";
+import { tmpdir } from "os";
+import { MatrixListener, captureTmuxLines } from "./matrix-listener.js";
 import { IPCServer } from "./lib/ipc-server.js";
 import { generateHooksSettings } from "./lib/hook-injector.js";
+import { checkEscalationTiming } from "./lib/escalation.js";
+import { ActivityFeed, describeToolUse } from "./lib/activity-feed.js";
+import { getConfig, withoutProfileArgs, listProfiles, CONFIG_FILE } from "./lib/config.js";
+import { parseSetupArgs, runConfigCommand } from "./lib/config-cli.js";
+import { SessionState, formatDuration } from "./lib/session-state.js";
+import { sendLongMarkdown } from "./lib/format.js";
+import { RoomStatus } from "./lib/room-status.js";
+import { getLastAssistantText } from "./lib/transcript.js";
+import * as readline from "readline";
+import { verifyWithUser, saveCryptoStore } from "./lib/crypto.js";
+import { askHidden } from "./lib/prompt.js";
+import {
+  listRooms,
+  pruneRooms,
+  forgetRoom,
+  renameRoom,
+  bindRoom,
+  resolveRoom,
+  parseAge,
+  formatAge,
+  markRoomClosed,
+} from "./lib/rooms.js";
 import {
   sendClaudeNotification,
+  sendNotification,
+  closeClient,
   getSessionKey,
   getHostname,
   getTmuxPane,
@@ -33,9 +57,42 @@ import {
   isConfigured,
   runSetupWizard,
   getClient,
+  getGitStatus,
+  logout,
 } from "./matrix-bridge.js";
 
 const DEBUG = process.env.MATRIX_DEBUG === "1";
+const THREADS = getConfig().threads;
+
+// Hook events that say nothing about whether an open prompt was answered
+const PROGRESS_EVENTS = new Set(["PostToolUse", "SubagentStop", "PreCompact", "SessionEnd"]);
+
+// Thread that groups the current turn's notifications (threads mode)
+const turn = { threadId: null };
+
+// "quiet", "normal" or "verbose"
+const VERBOSITY = getConfig().verbosity;
+
+// Verbose mode posts batches of tool calls and subagent results into the turn
+const activityFeed =
+  VERBOSITY === "verbose"
+    ? new ActivityFeed(async (lines) => {
+        const result = await sendClaudeNotification({
+          type: "tool_use",
+          message: lines.join("\n"),
+          sessionKey: getSessionKey(process.cwd()),
+          threadId: turn.threadId,
+        });
+        joinTurnThread(result);
+      })
+    : null;
+
+// The first notification of a turn without a thread becomes the thread root
+function joinTurnThread(result) {
+  if (THREADS && !turn.threadId && result.eventId) {
+    turn.threadId = result.eventId;
+  }
+}
 
 /**
  * Ensure we're running inside tmux.
@@ -91,16 +148,36 @@ function ensureTmux() {
 /**
  * Handle hook events received via IPC
  * Payload format matches Claude Code hook stdin:
- * - hook_event_name: "SessionStart" | "PreToolUse" | "Stop" | "Notification"
+ * - hook_event_name: "SessionStart" | "UserPromptSubmit" | "PreToolUse" | "PostToolUse" | "Stop" |
+ *   "SubagentStop" | "Notification" | "PreCompact" | "SessionEnd"
  * - session_id: string
- * - tool_name: string (for PreToolUse)
- * - tool_input: object (for PreToolUse)
+ * - tool_name: string (for PreToolUse and PostToolUse)
+ * - tool_input: object (for PreToolUse and PostToolUse)
  * - cwd: string
  * - transcript_path: string (for Stop)
  * - notification_type: string (for Notification)
+ * - prompt: string (for UserPromptSubmit)
+ * - trigger: "auto" | "manual" (for PreCompact)
+ * - reason: string (for SessionEnd)
+ *
+ * @param {object} payload - Hook payload
+ * @param {MatrixListener} listener - Listener that answers prompts for this session
+ * @param {SessionState} sessionState - State shown by the status command
  */
-async function handleHookEvent(payload) {
-  const { hook_event_name, session_id, tool_name, tool_input, cwd, transcript_path, notification_type, message } = payload;
+async function handleHookEvent(payload, listener, sessionState) {
+  const {
+    hook_event_name,
+    session_id,
+    tool_name,
+    tool_input,
+    cwd,
+    transcript_path,
+    notification_type,
+    message,
+    prompt,
+    trigger,
+    reason,
+  } = payload;
 
   // Build session context for all events
   const sessionKey = getSessionKey(cwd);
@@ -115,54 +192,124 @@ async function handleHookEvent(payload) {
     console.log(`[Hook] Processing ${hook_event_name} event`);
   }
 
+  sessionState.recordHook(payload);
+
+  // Any new hook event means earlier prompts were answered in the terminal.
+  // idle_prompt is the exception: it fires while a prompt is still on screen,
+  // and so do the ones that only report progress (a parallel tool or a
+  // subagent finishing, compaction, the session ending).
+  const stillPrompting =
+    (hook_event_name === "Notification" && notification_type === "idle_prompt") ||
+    PROGRESS_EVENTS.has(hook_event_name);
+  if (!stillPrompting) {
+    listener.clearPrompts();
+  }
+
   try {
+    // Activity so far goes out before anything else is posted, to keep the order
+    if (activityFeed && hook_event_name !== "PostToolUse" && hook_event_name !== "SubagentStop") {
+      await activityFeed.flush();
+    }
+
     switch (hook_event_name) {
-      case "SessionStart":
-        await sendClaudeNotification({
+      case "SessionStart": {
+        turn.threadId = null;
+        const result = await sendClaudeNotification({
           type: "session_start",
           sessionId: session_id,
           cwd: cwd,
           sessionKey: sessionKey,
           sessionContext: sessionContext,
+          announce: VERBOSITY !== "quiet",
         });
+        // The typing indicator (and with roomStatus, the name and topic) follow the session from here on
+        sessionState.setRoom(result.roomId);
+        break;
+      }
+
+      case "UserPromptSubmit":
+        // A new turn starts its own thread
+        if (THREADS) {
+          const { eventId } = await sendClaudeNotification({
+            type: "turn_start",
+            sessionId: session_id,
+            message: prompt,
+            cwd: cwd,
+            sessionKey: sessionKey,
+          });
+          turn.threadId = eventId;
+        }
         break;
 
       case "PreToolUse":
         if (tool_name === "AskUserQuestion") {
-          await sendClaudeNotification({
+          const result = await sendClaudeNotification({
             type: "question",
             sessionId: session_id,
             toolName: tool_name,
             questions: tool_input?.questions,
             cwd: cwd,
             sessionKey: sessionKey,
+            threadId: turn.threadId,
           });
+          joinTurnThread(result);
+          // Let poll votes pick the answers in this pane
+          if (result.pollEventIds) {
+            listener.trackQuestions(result.pollEventIds, {
+              roomId: result.roomId,
+              sessionKey,
+              tmuxTarget: sessionContext.tmuxPane,
+              questions: tool_input.questions,
+              threadId: turn.threadId,
+            });
+          }
         }
         break;
 
+      case "PostToolUse":
+        // The tool ran, so a permission dialog for it was answered in the terminal.
+        // A parallel tool finishing doesn't answer the dialogs still open for others.
+        if (!listener.resolveToolPrompts(tool_name)) {
+          sessionState.markWorking();
+        }
+        activityFeed?.add(describeToolUse(tool_name, tool_input, cwd));
+        break;
+
+      case "SubagentStop":
+        activityFeed?.add("🤖 Subagent finished");
+        break;
+
+      case "PreCompact":
+        await sendClaudeNotification({
+          type: "compact",
+          sessionId: session_id,
+          message: trigger,
+          cwd: cwd,
+          sessionKey: sessionKey,
+          threadId: turn.threadId,
+        });
+        break;
+
+      case "SessionEnd":
+        // Any other reason means Claude is exiting, which announceExit reports
+        if (reason === "clear") {
+          await sendClaudeNotification({
+            type: "session_end",
+            sessionId: session_id,
+            message: reason,
+            cwd: cwd,
+            sessionKey: sessionKey,
+          });
+        }
+        turn.threadId = null;
+        break;
+
       case "Stop":
         // Try to get last message from transcript (JSONL format)
         let lastMessage = "Waiting for your input.";
         if (transcript_path) {
           try {
-            const lines = readFileSync(transcript_path, "utf-8")
-              .trim()
-              .split("\n");
-            // Find last assistant message
-            for (let i = lines.length - 1; i >= 0; i--) {
-              const entry = JSON.parse(lines[i]);
-              const msg = entry.message;
-              if (msg && msg.role === "assistant" && msg.content) {
-                // Get text content, skip tool uses
-                const textParts = Array.isArray(msg.content)
-                  ? msg.content.filter((c) => c.type === "text")
-                  : [];
-                if (textParts.length > 0) {
-                  lastMessage = textParts.map((t) => t.text).join("\n");
-                  break;
-                }
-              }
-            }
+            lastMessage = getLastAssistantText(transcript_path) || lastMessage;
           } catch (e) {
             if (DEBUG) {
               console.error("[Hook] Error reading transcript:", e.message);
@@ -175,13 +322,16 @@ async function handleHookEvent(payload) {
           message: lastMessage,
           cwd: cwd,
           sessionKey: sessionKey,
+          threadId: turn.threadId,
         });
+        // The turn is over; the next one gets a new thread
+        turn.threadId = null;
         break;
 
       case "Notification":
-        if (notification_type === "idle_prompt") {
+        if (notification_type === "idle_prompt" && VERBOSITY !== "quiet") {
           await sendClaudeNotification({
-            type: "stop",
+            type: "idle",
             sessionId: session_id,
             message: message || "Claude is idle",
             cwd: cwd,
@@ -189,7 +339,7 @@ async function handleHookEvent(payload) {
           });
         } else if (notification_type === "permission_prompt") {
           // Permission dialog is being shown
-          await sendClaudeNotification({
+          const result = await sendClaudeNotification({
             type: "permission",
             sessionId: session_id,
             toolName: tool_name,
@@ -197,6 +347,19 @@ async function handleHookEvent(payload) {
             message: message,
             cwd: cwd,
             sessionKey: sessionKey,
+            threadId: turn.threadId,
+          });
+          joinTurnThread(result);
+          // Let a reaction on the prompt answer the dialog in this pane (unless a rule dropped it)
+          if (!result.eventId) break;
+          listener.trackPrompt(result.eventId, {
+            kind: "permission",
+            // The notification only names the tool in its text
+            toolName: tool_name || /permission to use (\S+)/.exec(message || "")?.[1],
+            roomId: result.roomId,
+            sessionKey,
+            tmuxTarget: sessionContext.tmuxPane,
+            threadId: turn.threadId,
           });
         }
         break;
@@ -213,13 +376,355 @@ async function handleHookEvent(payload) {
   }
 }
 
+/**
+ * Handle a blocking PermissionRequest hook: post the prompt to Matrix and wait
+ * for a reaction. Resolves to the decision sent back to hook-ping.js, or null
+ * to let Claude Code show its own permission dialog.
+ *
+ * @param {object} payload - Hook payload
+ * @param {MatrixListener} listener - Listener that answers prompts for this session
+ * @param {number} timeoutMs - How long to wait for an answer
+ */
+async function handlePermissionRequest(payload, listener, timeoutMs) {
+  const { session_id, tool_name, tool_input, cwd, permission_suggestions } = payload;
+  const sessionKey = getSessionKey(cwd);
+
+  // Earlier dialogs are stale, except other blocking hooks that are still waiting
+  listener.clearPrompts({ keepBlocking: true });
+
+  try {
+    const sent = await sendClaudeNotification({
+      type: "permission",
+      sessionId: session_id,
+      toolName: tool_name,
+      toolInput: tool_input,
+      cwd: cwd,
+      sessionKey: sessionKey,
+      threadId: turn.threadId,
+    });
+    joinTurnThread(sent);
+    // Dropped by a notification rule: answer in the terminal
+    if (!sent.eventId) {
+      return null;
+    }
+
+    const result = await listener.waitForAnswer(
+      sent.eventId,
+      {
+        kind: "permission",
+        toolName: tool_name,
+        roomId: sent.roomId,
+        sessionKey,
+        tmuxTarget: getTmuxPane(),
+        threadId: turn.threadId,
+      },
+      timeoutMs
+    );
+    if (!result) {
+      return null;
+    }
+
+    if (result.answer === "deny") {
+      return { decision: "deny", reason: `Denied from Matrix by ${result.sender}` };
+    }
+    return {
+      decision: "allow",
+      reason: `Allowed from Matrix by ${result.sender}`,
+      updatedPermissions: result.answer === "always" ? permission_suggestions : undefined,
+    };
+  } catch (err) {
+    if (DEBUG) {
+      console.error("[Hook] Error handling PermissionRequest:", err.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Verify the bot's device from the recipient's client (jackpoint verify).
+ * Sets up cross-signing for the bot if needed, then runs emoji verification.
+ */
+async function runVerify() {
+  const config = getConfig();
+  if (!config.encryption) {
+    console.error("[Jackpoint] Encryption is not enabled. Run 'jackpoint --setup' and enable it first.");
+    process.exit(1);
+  }
+
+  const { client, session } = await getClient();
+  const crypto = client.getCrypto();
+
+  // Cross-signing lets the recipient's client trust the bot's device
+  if (!(await crypto.isCrossSigningReady())) {
+    console.log("Setting up cross-signing for the bot account...");
+    try {
+      await crypto.bootstrapCrossSigning({
+        authUploadDeviceSigningKeys: async (makeRequest) => {
+          await makeRequest({
+            type: "m.login.password",
+            identifier: { type: "m.id.user", user: session.userId },
+            // Token-only mode keeps no password, so ask for it
+            password: config.password || (await askHidden("Matrix password (to set up cross-signing): ")),
+          });
+        },
+      });
+    } catch (err) {
+      console.error("Cross-signing setup failed, continuing with device verification:", err.message);
+    }
+  }
+
+  const { roomId } = await sendNotification(
+    "🔐 Jackpoint wants to verify this device. Accept the verification request to continue.",
+    config.recipient,
+    getSessionKey(process.cwd())
+  );
+
+  console.log(`Verification request sent to ${config.recipient}.`);
+  console.log("Accept it on your phone (or start one from there) and compare the emoji.\n");
+
+  const confirmEmoji = (emoji) => {
+    console.log(emoji.map(([symbol, name]) => `${symbol}  ${name}`).join("\n"));
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise((resolve) => {
+      rl.question("\nDo these match the emoji on your phone? (y/n): ", (answer) => {
+        rl.close();
+        resolve(answer.trim().toLowerCase().startsWith("y"));
+      });
+    });
+  };
+
+  try {
+    await verifyWithUser(client, { userId: config.recipient, roomId, confirmEmoji });
+    await saveCryptoStore(client);
+    console.log("\n✅ Device verified.");
+  } finally {
+    await closeClient();
+  }
+}
+
+/**
+ * Revoke the bot's access token and forget it (jackpoint logout)
+ */
+async function runLogout() {
+  try {
+    if (await logout()) {
+      console.log("✅ Logged out. The access token has been revoked.");
+    } else {
+      console.log("Not logged in.");
+    }
+  } catch (err) {
+    console.error("[Jackpoint] Logout failed:", err.message);
+    process.exit(1);
+  }
+
+  if (getConfig().password) {
+    console.log(`A password is still stored in ${CONFIG_FILE}, so the next run logs in again.`);
+    console.log("Run 'jackpoint --setup' and choose not to keep it to stop that.");
+  }
+}
+
+/**
+ * List configuration profiles (jackpoint profiles)
+ */
+function runProfiles() {
+  const profiles = listProfiles();
+  const width = Math.max(...profiles.map((p) => p.name.length));
+  for (const { name, config, active } of profiles) {
+    const account = config.user
+      ? `${config.user} → ${config.recipient || "(no recipient)"} on ${config.homeserver || "https://matrix.org"}`
+      : "(not configured)";
+    console.log(`${active ? "*" : " "} ${name.padEnd(width)}  ${account}`);
+  }
+}
+
+// Print rooms as aligned columns
+function printRooms(rooms) {
+  const now = Date.now();
+  const rows = rooms.map((r) => [
+    r.key,
+    r.roomId,
+    r.name || "",
+    !r.joined ? "left" : r.lastActivity ? `${formatAge(now - r.lastActivity)} ago` : "unknown",
+  ]);
+  const header = ["KEY", "ROOM", "NAME", "LAST ACTIVITY"];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd());
+  }
+}
+
+const ROOMS_USAGE = [
+  "Usage: jackpoint rooms list",
+  "       jackpoint rooms prune [--older-than 30d] [--dry-run]",
+  "       jackpoint rooms rename <key|room-id> <name>",
+  "       jackpoint rooms forget <key|room-id>",
+  "       jackpoint rooms bind <room-id> [key]   (key defaults to the current tmux pane)",
+];
+
+/**
+ * Manage the rooms sessions are mapped to (jackpoint rooms ...)
+ * @returns {Promise<number>} Exit code
+ */
+async function runRooms(args) {
+  const [action, ...rest] = args;
+  if (!["list", "prune", "rename", "forget", "bind"].includes(action)) {
+    console.error(ROOMS_USAGE.join("\n"));
+    return action ? 1 : 0;
+  }
+
+  const { client } = await getClient();
+  try {
+    switch (action) {
+      case "list": {
+        const rooms = await listRooms(client);
+        if (rooms.length === 0) {
+          console.log("No rooms yet.");
+        } else {
+          printRooms(rooms);
+        }
+        return 0;
+      }
+
+      case "prune": {
+        const ageIndex = rest.indexOf("--older-than");
+        const age = ageIndex === -1 ? "30d" : rest[ageIndex + 1];
+        const maxAge = parseAge(age);
+        if (!maxAge) {
+          console.error(`Invalid age "${age}". Use e.g. 45m, 12h, 30d or 2w.`);
+          return 1;
+        }
+        const dryRun = rest.includes("--dry-run");
+        const pruned = await pruneRooms(client, maxAge, { dryRun });
+        if (pruned.length === 0) {
+          console.log(`No rooms idle for more than ${age}.`);
+          return 0;
+        }
+        printRooms(pruned);
+        console.log(dryRun ? "\nDry run: nothing was changed." : `\nLeft and forgot ${pruned.length} mapping(s).`);
+        return 0;
+      }
+
+      case "rename":
+      case "forget": {
+        const [target, ...nameParts] = rest;
+        const roomId = target && resolveRoom(target);
+        if (!roomId) {
+          console.error(target ? `No room mapped to "${target}".` : ROOMS_USAGE.join("\n"));
+          return 1;
+        }
+        if (action === "forget") {
+          const keys = await forgetRoom(client, roomId);
+          console.log(`Left ${roomId}${keys.length ? ` and forgot ${keys.join(", ")}` : ""}.`);
+          return 0;
+        }
+        if (nameParts.length === 0) {
+          console.error("Usage: jackpoint rooms rename <key|room-id> <name>");
+          return 1;
+        }
+        await renameRoom(client, roomId, nameParts.join(" "));
+        console.log(`Renamed ${roomId} to "${nameParts.join(" ")}".`);
+        return 0;
+      }
+
+      case "bind": {
+        const [roomId, key = getSessionKey(process.cwd())] = rest;
+        if (!roomId?.startsWith("!")) {
+          console.error("Usage: jackpoint rooms bind <room-id> [key]");
+          return 1;
+        }
+        await bindRoom(client, key, roomId);
+        console.log(`${key} now uses ${roomId}.`);
+        return 0;
+      }
+    }
+  } finally {
+    await closeClient();
+  }
+}
+
+// Lines of terminal output included when the program fails
+const EXIT_TAIL_LINES = 20;
+
+// Longest we hold up exiting to tell the room
+const EXIT_NOTICE_TIMEOUT = 10000;
+
+/**
+ * Tell the room the session is over and close it, so later messages get a
+ * reply instead of being typed into the shell the pane returns to
+ */
+async function announceExit(sessionState, tmuxTarget, code, signal) {
+  const roomId = sessionState.roomId;
+  if (!roomId) return;
+
+  const reason = signal ? `signal ${signal}` : `exit code ${code}`;
+  const failed = !!signal || code !== 0;
+
+  const lines = [
+    `${failed ? "💥" : "🏁"} **Session ended** (${reason})`,
+    `Duration: ${formatDuration(Date.now() - sessionState.startedAt)}`,
+  ];
+  if (failed && tmuxTarget) {
+    const tail = captureTmuxLines(tmuxTarget, EXIT_TAIL_LINES);
+    if (tail) {
+      lines.push(`\nLast output:\n\`\`\`\n${tail}\n\`\`\``);
+    }
+  }
+  lines.push("\nThis room is closed. Messages sent here aren't delivered until a new session starts in the pane.");
+
+  // Whatever the activity feed still holds belongs before the end notice
+  await activityFeed?.flush();
+
+  await markRoomClosed(roomId, reason);
+  const { client } = await getClient();
+  await sendLongMarkdown(client, roomId, lines.join("\n"));
+}
+
 async function main() {
-  // Parse arguments: jackpoint <program> [args...]
-  const args = process.argv.slice(2);
+  // Parse arguments: jackpoint [--profile <name>] <program> [args...]
+  // (lib/config.js has already picked the profile)
+  const args = withoutProfileArgs(process.argv.slice(2));
 
   // Handle --setup flag (allow outside tmux)
   if (args[0] === "--setup" || args[0] === "-s") {
-    await runSetupWizard();
+    const { preset, error } = parseSetupArgs(args.slice(1));
+    if (error) {
+      console.error(`[Jackpoint] ${error}`);
+      process.exit(1);
+    }
+    await runSetupWizard(preset);
+    process.exit(0);
+  }
+
+  // Handle config subcommand (allow outside tmux)
+  if (args[0] === "config") {
+    process.exit(runConfigCommand(args.slice(1)));
+  }
+
+  // Handle verify subcommand (allow outside tmux)
+  if (args[0] === "verify") {
+    await runVerify();
+    process.exit(0);
+  }
+
+  // Handle rooms subcommand (allow outside tmux)
+  if (args[0] === "rooms") {
+    try {
+      process.exit(await runRooms(args.slice(1)));
+    } catch (err) {
+      console.error("[Jackpoint] Rooms command failed:", err.message);
+      process.exit(1);
+    }
+  }
+
+  // Handle profiles subcommand (allow outside tmux)
+  if (args[0] === "profiles") {
+    runProfiles();
+    process.exit(0);
+  }
+
+  // Handle logout subcommand (allow outside tmux)
+  if (args[0] === "logout") {
+    await runLogout();
     process.exit(0);
   }
 
@@ -229,12 +734,18 @@ async function main() {
   // Check if configured, run wizard if not
   if (!isConfigured()) {
     console.log("Jackpoint is not configured yet.\n");
-    await runSetupWizard();
+    // JACKPOINT_* variables still apply
+    await runSetupWizard(parseSetupArgs([]).preset);
   }
 
   if (args.length === 0) {
-    console.error("Usage: jackpoint <program> [args...]");
-    console.error("       jackpoint --setup");
+    console.error("Usage: jackpoint [--profile <name>] <program> [args...]");
+    console.error("       jackpoint --setup [--yes] [--homeserver URL] [--user ID] [--recipient ID] ...");
+    console.error("       jackpoint config get|set|list|validate");
+    console.error("       jackpoint verify");
+    console.error("       jackpoint logout");
+    console.error("       jackpoint profiles");
+    console.error("       jackpoint rooms list|prune|rename|forget|bind");
     console.error("");
     console.error("  e.g. jackpoint claude");
     console.error("       jackpoint claude --model sonnet");
@@ -260,7 +771,18 @@ async function main() {
   }
 
   // 2. Generate settings JSON with hooks pointing to our socket
-  const settingsJson = generateHooksSettings(socketPath);
+  const config = getConfig();
+  for (const warning of checkEscalationTiming(config)) {
+    console.error(`[Jackpoint] ${warning}`);
+  }
+  const settingsJson = generateHooksSettings(socketPath, {
+    permissionHook: config.permissionMode === "hook",
+    permissionTimeout: config.permissionTimeout,
+    // Always on: marks the start of a turn for threads and the status command
+    promptHook: true,
+    compactHook: config.verbosity !== "quiet",
+    activityHooks: config.verbosity === "verbose",
+  });
 
   if (DEBUG) {
     console.log("[Jackpoint] Injecting hooks via --settings flag");
@@ -287,16 +809,37 @@ async function main() {
     console.log("[Jackpoint] Starting Matrix listener for tmux target:", myTmuxTarget);
   }
 
-  const listener = new MatrixListener(myTmuxTarget);
+  const sessionState = new SessionState({ program, args: programArgs });
+  const listener = new MatrixListener(myTmuxTarget, {
+    sessionState,
+    attachmentDir: path.join(tmpdir(), `jackpoint-${sessionId}`),
+  });
   const listenerStarted = await listener.start();
 
+  // Keep the typing indicator on while Claude works, and with roomStatus also
+  // mirror the session's state in the room's name and topic
+  const roomStatus = new RoomStatus((await getClient()).client, sessionState, {
+    getGitStatus,
+    showStatus: config.roomStatus,
+  });
+
   if (!listenerStarted && DEBUG) {
     console.error("[Jackpoint] Failed to start listener, continuing without it");
   }
 
   // 5. Handle hook pings from the IPC server
   ipcServer.on("hook", async (payload) => {
-    await handleHookEvent(payload);
+    await handleHookEvent(payload, listener, sessionState);
+  });
+
+  // Blocking hooks wait on the connection for a decision
+  ipcServer.on("request", async (payload, reply) => {
+    sessionState.recordHook(payload);
+    if (payload.hook_event_name !== "PermissionRequest") {
+      reply();
+      return;
+    }
+    reply(await handlePermissionRequest(payload, listener, config.permissionTimeout * 1000));
   });
 
   // 6. Build program arguments with injected settings
@@ -311,24 +854,37 @@ async function main() {
     stdio: "inherit",
     detached: false,
   });
+  sessionState.setChild(child);
 
   // 8. Cleanup on exit
-  function cleanup() {
+  async function cleanup() {
     ipcServer.stop();
-    listener.stop();
+    await roomStatus.stop();
+    await listener.stop();
   }
 
-  child.on("exit", (code, signal) => {
+  child.on("exit", async (code, signal) => {
     if (DEBUG) {
       console.log(`\n[Jackpoint] ${program} exited with code ${code}`);
     }
-    cleanup();
+    sessionState.markExited();
+    try {
+      await Promise.race([
+        announceExit(sessionState, myTmuxTarget, code, signal),
+        new Promise((resolve) => setTimeout(resolve, EXIT_NOTICE_TIMEOUT)),
+      ]);
+    } catch (err) {
+      if (DEBUG) {
+        console.error("[Jackpoint] Failed to announce exit:", err.message);
+      }
+    }
+    await cleanup();
     process.exit(code || 0);
   });
 
-  child.on("error", (err) => {
+  child.on("error", async (err) => {
     console.error(`[Jackpoint] Failed to start ${program}:`, err.message);
-    cleanup();
+    await cleanup();
     process.exit(1);
   });
 
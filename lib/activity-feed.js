@@ -0,0 +1,114 @@
+/**
+ * Activity Feed - Batches what Claude is doing into compact Matrix messages
+ *
+ * In verbose mode, PostToolUse and SubagentStop hooks add one line each
+ * (files edited, commands run, subagents finished). Lines are collected for a
+ * few seconds and sent together, so a burst of tool calls becomes one message.
+ */
+
+import { relative, isAbsolute } from "path";
+
+const DEBUG = process.env.MATRIX_DEBUG === "1";
+
+// How long lines collect before they're sent, and how many fit in one message
+const FLUSH_DELAY = 5000;
+const MAX_LINES = 20;
+
+// Longest command shown in a line
+const MAX_COMMAND_LENGTH = 120;
+
+// Tools that only look around; they'd drown out the rest
+const QUIET_TOOLS = new Set(["Read", "Grep", "Glob", "LS", "TodoWrite", "AskUserQuestion", "BashOutput"]);
+
+// Show paths inside the working directory relative to it
+function shortPath(path, cwd) {
+  if (!path) return "?";
+  if (!cwd || !isAbsolute(path)) return path;
+  const rel = relative(cwd, path);
+  return rel && !rel.startsWith("..") && !isAbsolute(rel) ? rel : path;
+}
+
+function shortCommand(command) {
+  const [line] = String(command).trim().split("\n");
+  const more = line.length > MAX_COMMAND_LENGTH || String(command).trim().includes("\n");
+  return `${line.slice(0, MAX_COMMAND_LENGTH)}${more ? " …" : ""}`;
+}
+
+/**
+ * One feed line for a finished tool call
+ * @param {string} toolName
+ * @param {object} [toolInput]
+ * @param {string} [cwd] - Paths under it are shown relative
+ * @returns {string|null} Markdown line, or null for tools left out of the feed
+ */
+export function describeToolUse(toolName, toolInput = {}, cwd) {
+  if (!toolName || QUIET_TOOLS.has(toolName)) return null;
+  const input = toolInput || {};
+
+  switch (toolName) {
+    case "Edit":
+    case "MultiEdit":
+      return `✏️ Edited \`${shortPath(input.file_path, cwd)}\``;
+    case "Write":
+      return `📝 Wrote \`${shortPath(input.file_path, cwd)}\``;
+    case "NotebookEdit":
+      return `📓 Edited \`${shortPath(input.notebook_path, cwd)}\``;
+    case "Bash":
+      return `▶️ \`${shortCommand(input.command || "")}\``;
+    case "WebFetch":
+      return `🌐 Fetched ${input.url}`;
+    case "WebSearch":
+      return `🔎 Searched for "${input.query}"`;
+    case "Task":
+      return `🤖 Subagent: ${input.description || input.subagent_type || "task"}`;
+    default:
+      return `🔧 ${toolName}`;
+  }
+}
+
+export class ActivityFeed {
+  /**
+   * @param {function(string[]): Promise<void>} send - Posts a batch of lines
+   */
+  constructor(send) {
+    this.send = send;
+    this.lines = [];
+    this.timer = null;
+    // Batches go out one at a time, in order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add a line, sending the batch once it's full or FLUSH_DELAY has passed
+   * @param {string|null} line - Ignored when empty
+   */
+  add(line) {
+    if (!line) return;
+    this.lines.push(line);
+    if (this.lines.length >= MAX_LINES) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_DELAY);
+    }
+  }
+
+  /**
+   * Send whatever has collected, e.g. before the turn's final message
+   * @returns {Promise<void>} Resolves once every batch so far is sent
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.lines.length > 0) {
+      const lines = this.lines;
+      this.lines = [];
+      this.queue = this.queue.then(() => this.send(lines)).catch((e) => {
+        if (DEBUG) {
+          console.error("[ActivityFeed] Send failed:", e.message);
+        }
+      });
+    }
+    return this.queue;
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Attachments - Moves files between the Matrix media repository and the local machine
+ *
+ * Outgoing files are uploaded and sent as m.file; incoming m.image / m.file
+ * events are downloaded. In encrypted rooms files are encrypted client-side
+ * (AES-CTR, as the Matrix spec describes for encrypted attachments), so their
+ * contents never reach the homeserver in plaintext.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+
+// Unpadded base64, as used by the encrypted attachment format
+function toBase64(buffer) {
+  return buffer.toString("base64").replace(/=+$/, "");
+}
+
+function toBase64Url(buffer) {
+  return toBase64(buffer).replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+// Decode unpadded base64 or base64url
+function fromBase64(text) {
+  return Buffer.from(text.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+/**
+ * Encrypt a file for an encrypted room
+ * @param {Buffer} data - Plaintext
+ * @returns {{data: Buffer, file: object}} Ciphertext and the EncryptedFile info (minus url)
+ */
+export function encryptAttachment(data) {
+  const key = randomBytes(32);
+  // 64-bit random nonce followed by a 64-bit counter starting at zero
+  const iv = Buffer.concat([randomBytes(8), Buffer.alloc(8)]);
+
+  const cipher = createCipheriv("aes-256-ctr", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return {
+    data: ciphertext,
+    file: {
+      v: "v2",
+      key: {
+        alg: "A256CTR",
+        ext: true,
+        k: toBase64Url(key),
+        key_ops: ["encrypt", "decrypt"],
+        kty: "oct",
+      },
+      iv: toBase64(iv),
+      hashes: {
+        sha256: toBase64(createHash("sha256").update(ciphertext).digest()),
+      },
+    },
+  };
+}
+
+/**
+ * Upload a file and send it to a room as an m.file event
+ * @param {MatrixClient} client
+ * @param {string} roomId
+ * @param {object} file
+ * @param {string} file.name - File name shown in the client
+ * @param {string} file.mimetype - e.g. "text/markdown"
+ * @param {Buffer|string} file.content - File contents
+ * @param {string|null} [threadId] - Thread root to post into
+ * @returns {Promise<{event_id: string}>}
+ */
+export async function sendFile(client, roomId, { name, mimetype, content }, threadId = null) {
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf-8");
+  const encrypted = !!client.getRoom(roomId)?.hasEncryptionStateEvent();
+
+  const message = {
+    msgtype: "m.file",
+    body: name,
+    filename: name,
+    info: { mimetype, size: data.length },
+  };
+
+  if (encrypted) {
+    const { data: ciphertext, file } = encryptAttachment(data);
+    const { content_uri } = await client.uploadContent(ciphertext, {
+      type: "application/octet-stream",
+      includeFilename: false,
+    });
+    message.file = { ...file, url: content_uri };
+  } else {
+    const { content_uri } = await client.uploadContent(data, { name, type: mimetype });
+    message.url = content_uri;
+  }
+
+  return client.sendMessage(roomId, threadId, message);
+}
+
+/**
+ * Decrypt a file downloaded from an encrypted room
+ * @param {Buffer} data - Ciphertext
+ * @param {object} file - EncryptedFile info from the event
+ * @returns {Buffer} Plaintext
+ */
+export function decryptAttachment(data, file) {
+  const expectedHash = file.hashes?.sha256;
+  const actualHash = toBase64(createHash("sha256").update(data).digest());
+  if (!expectedHash || expectedHash !== actualHash) {
+    throw new Error("Attachment hash mismatch");
+  }
+
+  const decipher = createDecipheriv("aes-256-ctr", fromBase64(file.key.k), fromBase64(file.iv));
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Download the file of an m.image / m.file event through the authenticated media API
+ * @param {MatrixClient} client
+ * @param {object} content - Event content (with `url`, or `file` when encrypted)
+ * @param {number} maxSize - Largest accepted size in bytes
+ * @returns {Promise<Buffer>} File contents
+ */
+export async function downloadAttachment(client, content, maxSize) {
+  const mxcUrl = content.file?.url || content.url;
+  if (!mxcUrl) {
+    throw new Error("Message has no attachment");
+  }
+  if (content.info?.size > maxSize) {
+    throw new Error(`File is larger than ${maxSize} bytes`);
+  }
+
+  const httpUrl = client.mxcUrlToHttp(mxcUrl, undefined, undefined, undefined, false, true, true);
+  const controller = new AbortController();
+  const response = await fetch(httpUrl, {
+    headers: { Authorization: `Bearer ${client.getAccessToken()}` },
+    signal: controller.signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Download failed: HTTP ${response.status}`);
+  }
+
+  // info.size comes from the sender; the server's length and the bytes received are what count
+  const tooLarge = new Error(`File is larger than ${maxSize} bytes`);
+  if (Number(response.headers.get("content-length")) > maxSize) {
+    controller.abort();
+    throw tooLarge;
+  }
+
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of response.body) {
+    received += chunk.length;
+    if (received > maxSize) {
+      controller.abort();
+      throw tooLarge;
+    }
+    chunks.push(chunk);
+  }
+  const data = Buffer.concat(chunks);
+
+  return content.file ? decryptAttachment(data, content.file) : data;
+}
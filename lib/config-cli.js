@@ -0,0 +1,301 @@
+/**
+ * Config CLI - Non-interactive setup options and `jackpoint config get|set|list|validate`
+ */
+
+import { loadConfig, saveConfig, loadSession, getConfig, CONFIG_FILE } from "./config.js";
+import { parseHours, validateRules } from "./notification-rules.js";
+import { hasToken } from "./token-store.js";
+
+// Every key config.json understands, with how to parse and check it
+const CONFIG_SCHEMA = {
+  homeserver: { type: "url", required: true, description: "Matrix homeserver URL" },
+  user: { type: "string", required: true, description: "Bot account user ID" },
+  password: { type: "string", secret: true, description: "Bot account password (omit for token-only mode)" },
+  recipient: { type: "userId", required: true, description: "User ID that receives notifications" },
+  tokenStorage: { type: "enum", values: ["plain", "passphrase", "keyring"], description: "Where the access token is kept" },
+  encryption: { type: "boolean", description: "Create end-to-end encrypted rooms" },
+  permissionMode: { type: "enum", values: ["keys", "hook"], description: "How permission prompts are answered" },
+  permissionTimeout: { type: "number", description: "Seconds to wait for a permission answer" },
+  maxMessageLength: { type: "number", description: "Characters before a message is chunked" },
+  maxChunks: { type: "number", description: "Chunks before a message is sent as a file" },
+  oversizedOutput: { type: "enum", values: ["chunk", "file"], description: "What to do with oversized messages" },
+  threads: { type: "boolean", description: "Give each turn its own thread" },
+  verbosity: { type: "enum", values: ["quiet", "normal", "verbose"], description: "How much session activity is posted" },
+  roomStatus: { type: "boolean", description: "Show the session's status in the room name and topic" },
+  notificationRules: { type: "json", validate: validateRules, description: "Send, silence or drop notifications (JSON list)" },
+  quietHours: { type: "hours", description: "Comma-separated windows without push, e.g. 22:00-07:00" },
+  dedupeWindow: { type: "number", min: 0, description: "Seconds after a reply in which idle reminders are dropped (0 = off)" },
+  escalateAfter: { type: "number", min: 0, description: "Minutes before an unanswered prompt pings you (0 = off)" },
+  escalateTo: { type: "target", description: "User or room told about prompts still unanswered" },
+  escalateToAfter: { type: "number", description: "Minutes before escalateTo is told" },
+  commandPrefix: { type: "string", description: "Prefix for Jackpoint commands" },
+  strictCommands: { type: "boolean", description: "Answer unknown prefixed commands instead of passing them to Claude" },
+  maxAttachmentSize: { type: "number", description: "Largest file accepted from Matrix, in bytes" },
+  allowedSenders: { type: "userIds", description: "Comma-separated users allowed to send input (default: recipient)" },
+  checkRoomMembers: { type: "boolean", description: "Refuse input from rooms with unexpected members" },
+};
+
+// Setup flags and the environment variables that can stand in for them
+const SETUP_OPTIONS = {
+  "--homeserver": { key: "homeserver", env: "JACKPOINT_HOMESERVER" },
+  "--user": { key: "user", env: "JACKPOINT_USER" },
+  "--password": { key: "password", env: "JACKPOINT_PASSWORD" },
+  "--access-token": { key: "accessToken", env: "JACKPOINT_ACCESS_TOKEN" },
+  "--login": { key: "login", env: "JACKPOINT_LOGIN" },
+  "--recipient": { key: "recipient", env: "JACKPOINT_RECIPIENT" },
+  "--token-storage": { key: "tokenStorage", env: "JACKPOINT_TOKEN_STORAGE" },
+  "--encryption": { key: "encryption", env: "JACKPOINT_ENCRYPTION", boolean: true },
+  "--keep-password": { key: "keepPassword", env: "JACKPOINT_KEEP_PASSWORD", boolean: true },
+};
+
+function parseBoolean(value) {
+  if (/^(true|yes|y|1|on)$/i.test(value)) return true;
+  if (/^(false|no|n|0|off)$/i.test(value)) return false;
+  return null;
+}
+
+/**
+ * Parse `jackpoint --setup` flags, falling back to JACKPOINT_* variables.
+ * Flags win over the environment. Boolean flags also take a --no- form.
+ * @param {string[]} args - Arguments after --setup
+ * @param {object} [env]
+ * @returns {{preset: object, error: string|null}}
+ */
+export function parseSetupArgs(args, env = process.env) {
+  const preset = {};
+
+  for (const option of Object.values(SETUP_OPTIONS)) {
+    const value = env[option.env];
+    if (value === undefined || value === "") continue;
+    if (option.boolean) {
+      const parsed = parseBoolean(value);
+      if (parsed === null) {
+        return { preset, error: `${option.env} must be true or false` };
+      }
+      preset[option.key] = parsed;
+    } else {
+      preset[option.key] = value;
+    }
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--yes" || arg === "-y") {
+      preset.yes = true;
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    const negated = flag.startsWith("--no-") ? SETUP_OPTIONS[`--${flag.slice(5)}`] : null;
+    if (negated?.boolean) {
+      preset[negated.key] = false;
+      continue;
+    }
+
+    const option = SETUP_OPTIONS[flag];
+    if (!option) {
+      return { preset, error: `Unknown setup option: ${arg}` };
+    }
+    if (option.boolean) {
+      preset[option.key] = inlineValue === undefined ? true : parseBoolean(inlineValue);
+      if (preset[option.key] === null) {
+        return { preset, error: `${flag} must be true or false` };
+      }
+      continue;
+    }
+
+    const value = inlineValue ?? args[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith("--"))) {
+      return { preset, error: `${flag} needs a value` };
+    }
+    preset[option.key] = value;
+  }
+
+  return { preset, error: null };
+}
+
+function isUserId(value) {
+  return /^@[^:\s]+:\S+$/.test(value);
+}
+
+/**
+ * Parse and check a value for a config key
+ * @param {string} key
+ * @param {string} raw - Value as typed on the command line
+ * @returns {{value: *, error: string|null}}
+ */
+export function parseConfigValue(key, raw) {
+  const schema = CONFIG_SCHEMA[key];
+  if (!schema) {
+    return { value: null, error: `Unknown config key: ${key}` };
+  }
+
+  switch (schema.type) {
+    case "boolean": {
+      const value = parseBoolean(raw);
+      return value === null
+        ? { value: null, error: `${key} must be true or false` }
+        : { value, error: null };
+    }
+    case "number": {
+      const value = Number(raw);
+      const min = schema.min ?? 1;
+      return Number.isInteger(value) && value >= min
+        ? { value, error: null }
+        : { value: null, error: `${key} must be a ${min === 0 ? "non-negative" : "positive"} whole number` };
+    }
+    case "enum":
+      return schema.values.includes(raw)
+        ? { value: raw, error: null }
+        : { value: null, error: `${key} must be one of: ${schema.values.join(", ")}` };
+    case "url":
+      return /^https?:\/\/\S+$/.test(raw)
+        ? { value: raw.replace(/\/+$/, ""), error: null }
+        : { value: null, error: `${key} must be an http(s) URL` };
+    case "userId":
+      return isUserId(raw)
+        ? { value: raw, error: null }
+        : { value: null, error: `${key} must be a full Matrix user ID, e.g. @you:matrix.org` };
+    case "target":
+      return /^[@!#][^:\s]+:\S+$/.test(raw)
+        ? { value: raw, error: null }
+        : { value: null, error: `${key} must be a user ID, room ID or room alias, e.g. @you:matrix.org` };
+    case "userIds": {
+      const value = raw.split(",").map((id) => id.trim()).filter(Boolean);
+      return value.length > 0 && value.every(isUserId)
+        ? { value, error: null }
+        : { value: null, error: `${key} must be comma-separated Matrix user IDs, e.g. @you:matrix.org` };
+    }
+    case "hours": {
+      const value = raw.split(",").map((window) => window.trim()).filter(Boolean);
+      return value.every(parseHours)
+        ? { value, error: null }
+        : { value: null, error: `${key} must be comma-separated windows, e.g. 22:00-07:00` };
+    }
+    case "json": {
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (e) {
+        return { value: null, error: `${key} must be valid JSON` };
+      }
+      const error = schema.validate(value);
+      return error ? { value: null, error } : { value, error: null };
+    }
+    default:
+      return raw
+        ? { value: raw, error: null }
+        : { value: null, error: `${key} can't be empty` };
+  }
+}
+
+/**
+ * Check the saved config and session
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function validateConfig(config = loadConfig(), session = loadSession()) {
+  const errors = [];
+  const warnings = [];
+
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    if (config[key] === undefined) {
+      if (schema.required) errors.push(`${key} is not set`);
+      continue;
+    }
+    const raw = schema.type === "json" ? JSON.stringify(config[key]) : String(config[key]);
+    const { error } = parseConfigValue(key, raw);
+    if (error) errors.push(error);
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_SCHEMA[key]) warnings.push(`Unknown key: ${key}`);
+  }
+
+  if (!hasToken(session) && !config.password) {
+    errors.push("Not logged in: no access token or password. Run 'jackpoint --setup'.");
+  }
+
+  return { errors, warnings };
+}
+
+// Printable form of a value, hiding secrets
+function formatValue(key, value) {
+  if (CONFIG_SCHEMA[key]?.secret && value) return "********";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * jackpoint config get|set|list|validate
+ * @param {string[]} args - Arguments after "config"
+ * @returns {number} Exit code
+ */
+export function runConfigCommand(args) {
+  const [action, key, ...rest] = args;
+
+  switch (action) {
+    case "get": {
+      if (!key) {
+        console.error("Usage: jackpoint config get <key>");
+        return 1;
+      }
+      if (!CONFIG_SCHEMA[key]) {
+        console.error(`Unknown config key: ${key}`);
+        return 1;
+      }
+      const value = getConfig()[key];
+      console.log(typeof value === "string" ? value : JSON.stringify(value));
+      return 0;
+    }
+
+    case "set": {
+      if (!key || rest.length === 0) {
+        console.error("Usage: jackpoint config set <key> <value>");
+        return 1;
+      }
+      const { value, error } = parseConfigValue(key, rest.join(" "));
+      if (error) {
+        console.error(error);
+        return 1;
+      }
+      const config = loadConfig();
+      config[key] = value;
+      saveConfig(config);
+      console.log(`${key} = ${formatValue(key, value)}`);
+      return 0;
+    }
+
+    case "list": {
+      const saved = loadConfig();
+      const effective = getConfig();
+      const width = Math.max(...Object.keys(CONFIG_SCHEMA).map((k) => k.length));
+      for (const k of Object.keys(CONFIG_SCHEMA)) {
+        const note = saved[k] === undefined ? "  (default)" : "";
+        console.log(`${k.padEnd(width)}  ${formatValue(k, effective[k])}${note}`);
+      }
+      return 0;
+    }
+
+    case "validate": {
+      const { errors, warnings } = validateConfig();
+      for (const warning of warnings) console.log(`⚠️  ${warning}`);
+      for (const error of errors) console.log(`❌ ${error}`);
+      if (errors.length === 0) {
+        console.log(`✅ ${CONFIG_FILE} is valid`);
+        return 0;
+      }
+      return 1;
+    }
+
+    default:
+      console.error("Usage: jackpoint config get <key>");
+      console.error("       jackpoint config set <key> <value>");
+      console.error("       jackpoint config list");
+      console.error("       jackpoint config validate");
+      console.error("");
+      console.error("Keys:");
+      for (const [k, schema] of Object.entries(CONFIG_SCHEMA)) {
+        console.error(`  ${k.padEnd(18)} ${schema.description}`);
+      }
+      return action ? 1 : 0;
+  }
+}
@@ -3,25 +3,194 @@
  *
  * Stores config in ~/.jackpoint/config.json
  * Stores session in ~/.jackpoint/session.json
+ *
+ * Named profiles get the same files in ~/.jackpoint/profiles/<name>/, so each can use
+ * its own homeserver, bot and recipient. Both files are readable only by the owner
+ * (0600, in a 0700 directory).
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import {
+  readFileSync,
+  writeFileSync,
+  existsSync,
+  mkdirSync,
+  statSync,
+  chmodSync,
+  readdirSync,
+  renameSync,
+  openSync,
+  closeSync,
+  unlinkSync,
+} from "fs";
 import { homedir } from "os";
-import { join } from "path";
+import { join, dirname } from "path";
 import * as readline from "readline";
 
 // Silence SDK logging - must be imported before matrix-js-sdk
 import "./silence-sdk.js";
 import sdk from "matrix-js-sdk";
+import { askHidden } from "./prompt.js";
+import { storeToken, hasToken, TOKEN_FIELDS } from "./token-store.js";
+import { discoverHomeserver, getLoginMethods, loginWithSso, loginWithAccessToken } from "./login.js";
+
+const JACKPOINT_DIR = join(homedir(), ".jackpoint");
+const PROFILES_DIR = join(JACKPOINT_DIR, "profiles");
+const DEFAULT_PROFILE = "default";
+// Per-directory default: a file holding a profile name, in the project or a parent
+const PROFILE_FILE_NAME = ".jackpoint-profile";
+
+// Look for a .jackpoint-profile file from dir up to the filesystem root
+function findDirectoryProfile(dir = process.cwd()) {
+  for (;;) {
+    const file = join(dir, PROFILE_FILE_NAME);
+    if (existsSync(file)) {
+      return readFileSync(file, "utf-8").trim().split("\n")[0].trim() || null;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Leading `--profile <name>` / `--profile=<name>` arguments, if any
+function getProfileArgs(args) {
+  if (args[0] === "--profile") return args.slice(0, 2);
+  if (args[0]?.startsWith("--profile=")) return args.slice(0, 1);
+  return [];
+}
+
+/**
+ * Drop the leading --profile arguments, leaving the command to run
+ * @param {string[]} args
+ * @returns {string[]}
+ */
+export function withoutProfileArgs(args) {
+  return args.slice(getProfileArgs(args).length);
+}
+
+// Pick the profile: `jackpoint --profile <name>`, then JACKPOINT_PROFILE, then
+// .jackpoint-profile. Resolved when this module loads, because other modules read
+// their config at import time.
+function resolveProfile() {
+  const profileArgs = getProfileArgs(process.argv.slice(2));
+  const name = profileArgs.length > 0
+    ? (profileArgs[0].split("=")[1] ?? profileArgs[1])
+    : process.env.JACKPOINT_PROFILE || findDirectoryProfile();
 
-const CONFIG_DIR = join(homedir(), ".jackpoint");
+  if (!name || name === DEFAULT_PROFILE) {
+    return DEFAULT_PROFILE;
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    console.error(`[Jackpoint] Invalid profile name "${name}": use letters, digits, "-" and "_".`);
+    process.exit(1);
+  }
+  return name;
+}
+
+function getProfileDir(name) {
+  return name === DEFAULT_PROFILE ? JACKPOINT_DIR : join(PROFILES_DIR, name);
+}
+
+const PROFILE = resolveProfile();
+const CONFIG_DIR = getProfileDir(PROFILE);
 const CONFIG_FILE = join(CONFIG_DIR, "config.json");
 const SESSION_FILE = join(CONFIG_DIR, "session.json");
+const SESSION_LOCK = `${SESSION_FILE}.lock`;
+
+// A lock older than this was left by a process that died holding it
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
 
 // Ensure config directory exists
 function ensureConfigDir() {
   if (!existsSync(CONFIG_DIR)) {
-    mkdirSync(CONFIG_DIR, { recursive: true });
+    mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
+  }
+
+  // Tighten installs from older versions, which used default permissions
+  for (const [path, mode] of [[CONFIG_DIR, 0o700], [CONFIG_FILE, 0o600], [SESSION_FILE, 0o600]]) {
+    if (existsSync(path) && (statSync(path).mode & 0o077)) {
+      chmodSync(path, mode);
+    }
+  }
+}
+
+// Write a file only the owner can read. Written to a temp file and renamed into
+// place, so readers never see a half-written file.
+function writePrivateFile(path, data) {
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, data, { mode: 0o600 });
+  renameSync(tmpPath, path);
+}
+
+// Remove session.json.lock if it is still the stale lock we looked at. Only one
+// waiter at a time may do this (it holds session.json.lock.break), so two waiters
+// can't both clear the same stale lock and then each take a fresh one.
+function breakStaleLock(stale) {
+  const breakLock = `${SESSION_LOCK}.break`;
+  try {
+    closeSync(openSync(breakLock, "wx", 0o600));
+  } catch (e) {
+    if (e.code !== "EEXIST") throw e;
+    // Left by a waiter that died in the middle of breaking a lock
+    try {
+      if (Date.now() - statSync(breakLock).mtimeMs > LOCK_STALE_MS) unlinkSync(breakLock);
+    } catch (e2) {
+      // Already gone
+    }
+    return;
+  }
+
+  try {
+    // A new lock is a new file: only the one that went stale is removed
+    if (statSync(SESSION_LOCK).ino === stale.ino) {
+      unlinkSync(SESSION_LOCK);
+    }
+  } catch (e) {
+    // Released or already broken
+  } finally {
+    unlinkSync(breakLock);
+  }
+}
+
+// Run fn while holding session.json.lock (an exclusively created file). Waiting
+// for the lock doesn't block the event loop; fn itself runs synchronously.
+async function withSessionLock(fn) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      closeSync(openSync(SESSION_LOCK, "wx", 0o600));
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+
+    let lock;
+    try {
+      lock = statSync(SESSION_LOCK);
+    } catch (e) {
+      // Released between our attempts
+      continue;
+    }
+    if (Date.now() - lock.mtimeMs > LOCK_STALE_MS) {
+      breakStaleLock(lock);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${SESSION_LOCK}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  try {
+    return fn();
+  } finally {
+    try {
+      unlinkSync(SESSION_LOCK);
+    } catch (e) {
+      // Already removed as stale
+    }
   }
 }
 
@@ -37,7 +206,7 @@ export function loadConfig() {
 // Save config
 export function saveConfig(config) {
   ensureConfigDir();
-  writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+  writePrivateFile(CONFIG_FILE, JSON.stringify(config, null, 2));
 }
 
 // Load session
@@ -49,26 +218,92 @@ export function loadSession() {
   return {};
 }
 
-// Save session
+// Save session. Prefer updateSession, which doesn't lose other wrappers' changes.
 export function saveSession(session) {
   ensureConfigDir();
-  writeFileSync(SESSION_FILE, JSON.stringify(session, null, 2));
+  writePrivateFile(SESSION_FILE, JSON.stringify(session, null, 2));
 }
 
-// Check if config is valid
+/**
+ * Change session.json under a lock: re-reads the file, applies `update`, writes it back.
+ * Several wrappers, hooks and listeners share the file, so every change goes through here.
+ * @param {function(object): void} update - Mutates the session
+ * @returns {Promise<object>} The saved session
+ */
+export async function updateSession(update) {
+  ensureConfigDir();
+  return withSessionLock(() => {
+    const session = loadSession();
+    update(session);
+    saveSession(session);
+    return session;
+  });
+}
+
+/**
+ * Record a fresh login in the session, keeping the room mappings
+ * @param {object} login - Login response (access_token, user_id, device_id)
+ * @param {string} tokenStorage - "plain", "passphrase" or "keyring"
+ * @returns {Promise<object>} The saved session
+ */
+export async function saveLogin(login, tokenStorage) {
+  const fields = { userId: login.user_id, deviceId: login.device_id };
+  // May ask for a passphrase, so it runs before taking the lock
+  await storeToken(fields, login.access_token, tokenStorage);
+
+  return updateSession((session) => {
+    for (const field of TOKEN_FIELDS) {
+      delete session[field];
+    }
+    Object.assign(session, fields);
+  });
+}
+
+// Check if config is valid (a stored password is optional once we have a token)
 export function isConfigured() {
   const config = loadConfig();
-  return !!(config.homeserver && config.user && config.password && config.recipient);
+  const session = loadSession();
+  return !!(config.homeserver && config.user && config.recipient && (config.password || hasToken(session)));
 }
 
-// Interactive setup wizard
-export async function runSetupWizard() {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
+// "y", "yes", "true", "1" or a boolean
+function isYes(answer) {
+  return answer === true || /^(y|yes|true|1)$/i.test(String(answer).trim());
+}
+
+/**
+ * Setup wizard. Values given in `preset` (from flags or JACKPOINT_* variables) are
+ * used without asking; with `preset.yes` nothing is asked at all and missing values
+ * fall back to the current config or fail.
+ * @param {object} [preset]
+ * @param {string} [preset.homeserver]
+ * @param {string} [preset.user]
+ * @param {string} [preset.password]
+ * @param {string} [preset.accessToken] - Use an existing token instead of logging in
+ * @param {string} [preset.login] - "password", "sso" or "token" (default: from the homeserver's login flows)
+ * @param {string} [preset.recipient]
+ * @param {boolean} [preset.encryption]
+ * @param {boolean} [preset.keepPassword]
+ * @param {string} [preset.tokenStorage]
+ * @param {boolean} [preset.yes] - Never prompt
+ */
+export async function runSetupWizard(preset = {}) {
+  const interactive = !preset.yes;
+  let rl = null;
 
-  const question = (prompt, defaultValue = "") => {
+  const question = (prompt, presetValue, defaultValue = "") => {
+    if (presetValue !== undefined) {
+      return Promise.resolve(presetValue);
+    }
+    if (!interactive) {
+      return Promise.resolve(defaultValue);
+    }
+    if (!rl) {
+      rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
+    }
     return new Promise((resolve) => {
       const displayPrompt = defaultValue ? `${prompt} [${defaultValue}]: ` : `${prompt}: `;
       rl.question(displayPrompt, (answer) => {
@@ -77,47 +312,141 @@ export async function runSetupWizard() {
     });
   };
 
-  console.log("\n🔧 Jackpoint Setup Wizard\n");
-  console.log("This wizard will configure your Matrix connection.\n");
+  const fail = (message) => {
+    rl?.close();
+    console.error(`\n❌ ${message}\n`);
+    process.exit(1);
+  };
+
+  if (interactive) {
+    console.log("\n🔧 Jackpoint Setup Wizard\n");
+    console.log("This wizard will configure your Matrix connection.\n");
+  }
 
   const config = loadConfig();
 
-  const homeserver = await question("Matrix homeserver URL", config.homeserver || "https://matrix.org");
-  const user = await question("Matrix username (e.g., @user:matrix.org)", config.user || "");
-  const password = await question("Matrix password", "");
-  const recipient = await question("Recipient user ID (who receives notifications)", config.recipient || "");
+  // With a pasted access token the user ID can come from the server
+  const user = await question("Matrix user ID of the bot account (e.g., @bot:example.org)", preset.user, config.user || "");
+  if (!user && !preset.accessToken) {
+    fail("A Matrix user ID is required (--user or JACKPOINT_USER).");
+  }
 
-  rl.close();
+  // Same account as before: keep its homeserver, otherwise ask the user's domain
+  let suggestedHomeserver = user === config.user ? config.homeserver : null;
+  if (!suggestedHomeserver && user && preset.homeserver === undefined) {
+    suggestedHomeserver = await discoverHomeserver(user);
+  }
+  const homeserver = (
+    await question("Matrix homeserver URL", preset.homeserver, suggestedHomeserver || "https://matrix.org")
+  ).replace(/\/+$/, "");
+
+  const recipient = await question("Recipient user ID (who receives notifications)", preset.recipient, config.recipient || "");
+  const encryption = await question("Enable end-to-end encryption? (y/n)", preset.encryption, config.encryption ? "y" : "n");
+
+  // Offer the login methods the homeserver advertises
+  let method = preset.accessToken ? "token" : preset.login;
+  if (!method) {
+    const hasPassword = !!(preset.password || config.password);
+    // SSO waits for someone at a browser, so an unattended setup never falls back to it
+    if (!interactive && !hasPassword) {
+      fail(
+        "No password or access token given. Pass --password or --access-token (or JACKPOINT_PASSWORD / " +
+          "JACKPOINT_ACCESS_TOKEN); SSO needs a browser, so --yes only uses it with --login sso."
+      );
+    }
+
+    let methods;
+    try {
+      methods = await getLoginMethods(homeserver);
+    } catch (err) {
+      fail(`Could not reach ${homeserver}: ${err.message}`);
+    }
+    const fallback = methods.includes("password") && (interactive || hasPassword)
+      ? "password"
+      : methods.includes("sso") ? "sso" : "token";
+    method = await question(`Log in with ${methods.join(", ")}`, undefined, fallback);
+  }
+  if (!["password", "sso", "token"].includes(method)) {
+    fail(`Unknown login method "${method}". Use password, sso or token.`);
+  }
+
+  const keepPassword = method === "password"
+    ? await question(
+      "Keep the password for automatic re-login? Otherwise only the access token is stored (y/n)",
+      preset.keepPassword,
+      config.password ? "y" : "n"
+    )
+    : false;
+  const tokenStorage = await question(
+    "Store the access token as plain, passphrase or keyring",
+    preset.tokenStorage,
+    config.tokenStorage || "plain"
+  );
+
+  rl?.close();
+
+  if (!recipient) {
+    fail("A recipient user ID is required (--recipient or JACKPOINT_RECIPIENT).");
+  }
+  if (!["plain", "passphrase", "keyring"].includes(tokenStorage)) {
+    fail(`Unknown token storage "${tokenStorage}". Use plain, passphrase or keyring.`);
+  }
+
+  let password;
+  let accessToken;
+  if (method === "password") {
+    password = preset.password || (interactive ? await askHidden("Matrix password: ") : config.password);
+    if (!password) {
+      fail("A password or access token is required (JACKPOINT_PASSWORD or JACKPOINT_ACCESS_TOKEN).");
+    }
+  } else if (method === "token") {
+    accessToken = preset.accessToken || (interactive ? (await askHidden("Access token: ")).trim() : null);
+    if (!accessToken) {
+      fail("An access token is required (--access-token or JACKPOINT_ACCESS_TOKEN).");
+    }
+  }
 
   // Test connection
   console.log("\nTesting Matrix connection...");
 
   try {
-    const tempClient = sdk.createClient({ baseUrl: homeserver });
-    const response = await tempClient.login("m.login.password", {
-      user: user,
-      password: password,
-    });
-
-    console.log("✓ Login successful");
+    let login;
+    if (method === "token") {
+      login = await loginWithAccessToken(homeserver, accessToken);
+      console.log(`✓ Access token is valid for ${login.user_id}`);
+    } else if (method === "sso") {
+      login = await loginWithSso(homeserver);
+      console.log(`✓ Logged in as ${login.user_id}`);
+    } else {
+      const tempClient = sdk.createClient({ baseUrl: homeserver });
+      login = await tempClient.login("m.login.password", {
+        user: user,
+        password: password,
+      });
+      console.log("✓ Login successful");
+    }
 
     // Save config
     const newConfig = {
+      ...config,
       homeserver,
-      user,
+      user: login.user_id,
       password,
       recipient,
+      encryption: isYes(encryption),
+      tokenStorage,
     };
-    saveConfig(newConfig);
+    if (!isYes(keepPassword)) {
+      // Token-only mode: the password was only needed for this login
+      delete newConfig.password;
+    }
 
     // Save session with access token
-    const session = loadSession();
-    session.accessToken = response.access_token;
-    session.userId = response.user_id;
-    saveSession(session);
+    await saveLogin(login, tokenStorage);
+    saveConfig(newConfig);
 
     console.log("✓ Session saved");
-    console.log("\n✅ Configuration complete! Saved to ~/.jackpoint/\n");
+    console.log(`\n✅ Configuration complete! Saved to ${CONFIG_DIR}\n`);
 
     return newConfig;
   } catch (err) {
@@ -133,9 +462,82 @@ export function getConfig() {
   return {
     homeserver: config.homeserver || "https://matrix.org",
     user: config.user || "",
+    // Empty in token-only mode, where the password is only used by the setup wizard
     password: config.password || "",
     recipient: config.recipient || "",
+    // Where the access token is kept: "plain", "passphrase" or "keyring" (see token-store.js)
+    tokenStorage: config.tokenStorage || "plain",
+    // "keys" answers permission dialogs by typing into tmux,
+    // "hook" answers them through a blocking PermissionRequest hook
+    permissionMode: config.permissionMode || "keys",
+    // Seconds to wait for a Matrix answer before falling back to the terminal prompt
+    permissionTimeout: config.permissionTimeout || 120,
+    // Create end-to-end encrypted rooms (opt-in)
+    encryption: config.encryption === true,
+    // Messages longer than this many characters are chunked or attached as a file
+    maxMessageLength: config.maxMessageLength || 4000,
+    // More chunks than this are sent as a file instead
+    maxChunks: config.maxChunks || 4,
+    // "chunk" splits oversized messages, "file" always attaches them
+    oversizedOutput: config.oversizedOutput || "chunk",
+    // Prefix the room name with the session's status and keep the topic current (opt-in:
+    // every change is a state event in the timeline)
+    roomStatus: config.roomStatus === true,
+    // How much of the session reaches the room: "quiet" (replies, questions and
+    // permission prompts only), "normal", or "verbose" (adds an activity feed)
+    verbosity: config.verbosity || "normal",
+    // Send, silence or drop notifications by event, session, directory and time
+    // (see notification-rules.js); the first matching rule wins
+    notificationRules: config.notificationRules || [],
+    // Windows like "22:00-07:00" in which notifications are sent without a push
+    quietHours: config.quietHours || [],
+    // Seconds after a turn's reply within which the idle reminder is dropped (0 turns this off)
+    dedupeWindow: config.dedupeWindow ?? 300,
+    // Minutes before an unanswered prompt gets a reply that mentions the recipient (0 = never)
+    escalateAfter: config.escalateAfter || 0,
+    // User ID, room ID or alias told about prompts still unanswered after escalateToAfter minutes
+    escalateTo: config.escalateTo || "",
+    escalateToAfter: config.escalateToAfter || 15,
+    // Group each Claude turn's notifications into its own Matrix thread
+    threads: config.threads === true,
+    // Prefix for Jackpoint commands. "." means nothing to Claude's prompt, unlike "/"
+    // (slash commands), "!" (bash mode), "#" (memory) and "@" (file mentions)
+    commandPrefix: config.commandPrefix || ".",
+    // Treat every message starting with commandPrefix as a Jackpoint command and answer
+    // unknown ones, instead of passing them to Claude (the old behaviour, with "/")
+    strictCommands: config.strictCommands === true,
+    // Matrix users whose messages, reactions and votes are accepted as input
+    allowedSenders: config.allowedSenders || (config.recipient ? [config.recipient] : []),
+    // Refuse input while the room has other members or isn't invite-only
+    checkRoomMembers: config.checkRoomMembers === true,
+    // Largest image or file accepted from Matrix, in bytes
+    maxAttachmentSize: config.maxAttachmentSize || 20 * 1024 * 1024,
   };
 }
 
-export { CONFIG_DIR, CONFIG_FILE, SESSION_FILE };
+/**
+ * List the default profile and every named profile
+ * @returns {{name: string, dir: string, config: object, active: boolean}[]}
+ */
+export function listProfiles() {
+  const names = [DEFAULT_PROFILE];
+  if (existsSync(PROFILES_DIR)) {
+    for (const entry of readdirSync(PROFILES_DIR, { withFileTypes: true })) {
+      if (entry.isDirectory()) names.push(entry.name);
+    }
+  }
+
+  return names.map((name) => {
+    const dir = getProfileDir(name);
+    const file = join(dir, "config.json");
+    let config = {};
+    try {
+      config = existsSync(file) ? JSON.parse(readFileSync(file, "utf-8")) : {};
+    } catch (e) {
+      // Unreadable config: still list the profile
+    }
+    return { name, dir, config, active: name === PROFILE };
+  });
+}
+
+export { CONFIG_DIR, CONFIG_FILE, SESSION_FILE, PROFILE, DEFAULT_PROFILE };
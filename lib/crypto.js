@@ -0,0 +1,341 @@
+/**
+ * End-to-end encryption support
+ *
+ * Uses the SDK's Rust crypto. Node has no IndexedDB, so the crypto store lives in
+ * fake-indexeddb and is snapshotted to ~/.jackpoint/crypto/<deviceId>.store, which
+ * keeps the device keys and Olm/Megolm sessions across restarts.
+ *
+ * Only one process may use a device's store at a time: two copies would hand out
+ * the same one-time keys and overwrite each other's Olm/Megolm sessions. The owner
+ * holds <deviceId>.store.lock (containing its pid) until it closes or exits.
+ */
+
+import "fake-indexeddb/auto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, rmSync, linkSync } from "fs";
+import { join } from "path";
+import { serialize, deserialize } from "v8";
+import { CONFIG_DIR } from "./config.js";
+import {
+  CryptoEvent,
+  VerificationPhase,
+  VerificationRequestEvent,
+  VerifierEvent,
+} from "matrix-js-sdk/lib/crypto-api/index.js";
+
+const DEBUG = process.env.MATRIX_DEBUG === "1";
+
+const CRYPTO_DIR = join(CONFIG_DIR, "crypto");
+const DB_PREFIX = "jackpoint";
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getStorePath(deviceId) {
+  return join(CRYPTO_DIR, `${deviceId}.store`);
+}
+
+// Pid in a lock file, or null if there is none
+function readLockOwner(lockPath) {
+  try {
+    return Number(readFileSync(lockPath, "utf-8")) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: alive, but someone else's
+    return e.code === "EPERM";
+  }
+}
+
+/**
+ * Make this process the only user of a device's crypto store
+ * @param {string} deviceId
+ * @throws {Error} If another running process owns it
+ */
+function lockCryptoStore(deviceId) {
+  mkdirSync(CRYPTO_DIR, { recursive: true, mode: 0o700 });
+  const lockPath = `${getStorePath(deviceId)}.lock`;
+  const inUse = (pid) =>
+    new Error(
+      `The encryption keys of device ${deviceId} are in use by another jackpoint process (pid ${pid}). ` +
+        "Only one encrypted session can run at a time."
+    );
+
+  // Linking a finished file into place is atomic, so a lock is never seen half-written
+  const claimPath = `${lockPath}.${process.pid}.tmp`;
+  writeFileSync(claimPath, String(process.pid), { mode: 0o600 });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      linkSync(claimPath, lockPath);
+      rmSync(claimPath, { force: true });
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") {
+        rmSync(claimPath, { force: true });
+        throw e;
+      }
+    }
+
+    const owner = readLockOwner(lockPath);
+    if (owner === process.pid || (owner && isRunning(owner)) || attempt >= 3) {
+      rmSync(claimPath, { force: true });
+      if (owner === process.pid) return;
+      throw inUse(owner);
+    }
+
+    // Left behind by a process that died. Renaming it away is atomic, so only one
+    // process claims it; if a live lock was renamed instead, put it back.
+    const stalePath = `${lockPath}.${process.pid}.stale`;
+    try {
+      renameSync(lockPath, stalePath);
+    } catch (e) {
+      // Another process claimed it first
+      continue;
+    }
+    const claimed = readLockOwner(stalePath);
+    if (claimed !== owner && claimed && isRunning(claimed)) {
+      try {
+        linkSync(stalePath, lockPath);
+      } finally {
+        rmSync(stalePath, { force: true });
+        rmSync(claimPath, { force: true });
+      }
+      throw inUse(claimed);
+    }
+    rmSync(stalePath, { force: true });
+  }
+
+  // Released on a clean close; a crash leaves a lock whose pid is gone
+  process.once("exit", () => unlockCryptoStore(deviceId));
+}
+
+/**
+ * Give up ownership of a device's crypto store, if this process has it
+ * @param {string} deviceId
+ */
+export function unlockCryptoStore(deviceId) {
+  const lockPath = `${getStorePath(deviceId)}.lock`;
+  if (readLockOwner(lockPath) === process.pid) {
+    rmSync(lockPath, { force: true });
+  }
+}
+
+// Read every database, object store and record we own into a plain structure
+async function dumpDatabases() {
+  const databases = (await indexedDB.databases()).filter((d) => d.name.startsWith(DB_PREFIX));
+  const dump = [];
+
+  for (const { name, version } of databases) {
+    const db = await promisify(indexedDB.open(name, version));
+    const stores = [];
+
+    for (const storeName of db.objectStoreNames) {
+      const store = db.transaction(storeName, "readonly").objectStore(storeName);
+      const indexes = [...store.indexNames].map((indexName) => {
+        const index = store.index(indexName);
+        return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+      });
+      const [keys, values] = await Promise.all([
+        promisify(store.getAllKeys()),
+        promisify(store.getAll()),
+      ]);
+      stores.push({
+        name: storeName,
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        indexes,
+        records: keys.map((key, i) => ({ key, value: values[i] })),
+      });
+    }
+
+    db.close();
+    dump.push({ name, version, stores });
+  }
+
+  return dump;
+}
+
+// Recreate databases from a dump (before the crypto backend opens them)
+async function restoreDatabases(dump) {
+  for (const { name, version, stores } of dump) {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const store of stores) {
+        const objectStore = db.createObjectStore(store.name, {
+          keyPath: store.keyPath,
+          autoIncrement: store.autoIncrement,
+        });
+        for (const index of store.indexes) {
+          objectStore.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+        }
+      }
+    };
+    const db = await promisify(request);
+
+    for (const store of stores) {
+      if (store.records.length === 0) continue;
+      const tx = db.transaction(store.name, "readwrite");
+      const objectStore = tx.objectStore(store.name);
+      for (const { key, value } of store.records) {
+        if (store.keyPath === null) {
+          objectStore.put(value, key);
+        } else {
+          objectStore.put(value);
+        }
+      }
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    db.close();
+  }
+}
+
+/**
+ * Initialize Rust crypto on a client, restoring the persisted store first
+ * @param {MatrixClient} client - Client created with a stable deviceId
+ * @throws {Error} If another process is using the device's store
+ */
+export async function initCrypto(client) {
+  lockCryptoStore(client.getDeviceId());
+
+  const storePath = getStorePath(client.getDeviceId());
+  if (existsSync(storePath)) {
+    await restoreDatabases(deserialize(readFileSync(storePath)));
+    if (DEBUG) {
+      console.log("[Crypto] Restored crypto store:", storePath);
+    }
+  }
+
+  await client.initRustCrypto({ cryptoDatabasePrefix: DB_PREFIX });
+}
+
+/**
+ * Persist the crypto store to disk
+ * @param {MatrixClient} client
+ */
+export async function saveCryptoStore(client) {
+  if (!existsSync(CRYPTO_DIR)) {
+    mkdirSync(CRYPTO_DIR, { recursive: true, mode: 0o700 });
+  }
+
+  const storePath = getStorePath(client.getDeviceId());
+  const tmpPath = `${storePath}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, serialize(await dumpDatabases()), { mode: 0o600 });
+  renameSync(tmpPath, storePath);
+
+  if (DEBUG) {
+    console.log("[Crypto] Saved crypto store:", storePath);
+  }
+}
+
+/**
+ * Delete a device's persisted crypto store (after logging the device out)
+ * @param {string} deviceId
+ */
+export function deleteCryptoStore(deviceId) {
+  rmSync(getStorePath(deviceId), { force: true });
+  unlockCryptoStore(deviceId);
+}
+
+/**
+ * Verify this device with the recipient using emoji (SAS) verification.
+ *
+ * Sends a verification request to the recipient in the given room, and also
+ * accepts a request started from the recipient's client.
+ *
+ * @param {MatrixClient} client - Client with crypto initialized and syncing
+ * @param {object} options
+ * @param {string} options.userId - User to verify with (the recipient)
+ * @param {string} options.roomId - DM room with that user
+ * @param {function} options.confirmEmoji - async (emoji: [emoji, name][]) => boolean
+ * @returns {Promise<void>} Resolves when verification is done
+ */
+export async function verifyWithUser(client, { userId, roomId, confirmEmoji }) {
+  const crypto = client.getCrypto();
+
+  const runRequest = (request) =>
+    new Promise((resolve, reject) => {
+      let started = false;
+
+      const onChange = async () => {
+        if (request.phase === VerificationPhase.Cancelled) {
+          reject(new Error(`Verification cancelled: ${request.cancellationCode || "unknown reason"}`));
+          return;
+        }
+        if (request.phase === VerificationPhase.Done) {
+          resolve();
+          return;
+        }
+        if (started) return;
+
+        // Either side may start SAS once both are ready
+        let verifier = request.verifier;
+        if (verifier) {
+          started = true;
+        } else if (request.phase === VerificationPhase.Ready && request.initiatedByMe) {
+          started = true;
+          try {
+            verifier = await request.startVerification("m.sas.v1");
+          } catch (e) {
+            reject(e);
+            return;
+          }
+        } else {
+          return;
+        }
+
+        verifier.on(VerifierEvent.ShowSas, async (sas) => {
+          try {
+            if (await confirmEmoji(sas.sas.emoji || [])) {
+              await sas.confirm();
+            } else {
+              sas.mismatch();
+            }
+          } catch (e) {
+            reject(e);
+          }
+        });
+        verifier.verify().then(resolve, reject);
+      };
+
+      request.on(VerificationRequestEvent.Change, onChange);
+      onChange();
+    });
+
+  return new Promise((resolve, reject) => {
+    // Accept a request started from the recipient's client
+    client.on(CryptoEvent.VerificationRequestReceived, async (request) => {
+      if (request.otherUserId !== userId) return;
+      try {
+        await request.accept();
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      runRequest(request).then(resolve, reject);
+    });
+
+    crypto.requestVerificationDM(userId, roomId).then(
+      (request) => runRequest(request).then(resolve, reject),
+      reject
+    );
+  });
+}
+
+export { CRYPTO_DIR };
@@ -0,0 +1,84 @@
+/**
+ * Escalation - Follow-ups for permission prompts and questions nobody answers
+ *
+ * After escalateAfter minutes the prompt gets a reply that mentions the
+ * recipient through m.mentions, which clients treat as a ping even when plain
+ * messages are muted. After escalateToAfter minutes a notice goes to escalateTo,
+ * a second user or a room. The listener cancels both as soon as the prompt is
+ * answered, the recipient writes in the room, or the terminal moves on.
+ */
+
+import { escapeHtml } from "./format.js";
+
+// How each prompt kind is called in the follow-ups
+const PROMPT_LABELS = {
+  permission: "permission prompt",
+  question: "question",
+};
+
+// Link to a user, room or event that any Matrix client can open
+export function matrixLink(roomOrUserId, eventId = null) {
+  return `https://matrix.to/#/${encodeURIComponent(roomOrUserId)}${eventId ? `/${encodeURIComponent(eventId)}` : ""}`;
+}
+
+// An m.text that mentions userId, optionally as a reply to replyTo
+function mentionMessage(userId, text, replyTo = null) {
+  const content = {
+    msgtype: "m.text",
+    body: `${userId} ${text}`,
+    format: "org.matrix.custom.html",
+    formatted_body: `<a href="${matrixLink(userId)}">${escapeHtml(userId)}</a> ${escapeHtml(text)}`,
+    "m.mentions": { user_ids: [userId] },
+  };
+  if (replyTo) {
+    content["m.relates_to"] = { "m.in_reply_to": { event_id: replyTo } };
+  }
+  return content;
+}
+
+/**
+ * The reminder posted under an unanswered prompt
+ * @param {object} prompt - Pending prompt ({ kind, eventId })
+ * @param {string} userId - Who to ping
+ * @param {number} minutes - How long the prompt has waited
+ * @returns {object} m.room.message content
+ */
+export function buildReminder(prompt, userId, minutes) {
+  const label = PROMPT_LABELS[prompt.kind] || "prompt";
+  return mentionMessage(userId, `⏰ This ${label} has been waiting ${minutes} min for an answer.`, prompt.eventId);
+}
+
+/**
+ * The notice sent to escalateTo
+ * @param {object} prompt - Pending prompt ({ kind, eventId, roomId, sessionKey })
+ * @param {string} target - escalateTo: a user ID, or a room ID or alias
+ * @param {number} minutes - How long the prompt has waited
+ * @returns {object} m.room.message content
+ */
+export function buildEscalation(prompt, target, minutes) {
+  const label = PROMPT_LABELS[prompt.kind] || "prompt";
+  const text = `⏰ A ${label} in session ${prompt.sessionKey} has been waiting ${minutes} min: ${matrixLink(prompt.roomId, prompt.eventId)}`;
+  return target.startsWith("@") ? mentionMessage(target, text) : { msgtype: "m.text", body: text };
+}
+
+/**
+ * Warnings about escalation settings that can never take effect
+ * @param {object} config - From getConfig()
+ * @returns {string[]}
+ */
+export function checkEscalationTiming(config) {
+  // In hook mode a prompt is given up on after permissionTimeout seconds
+  if (config.permissionMode !== "hook") return [];
+
+  const steps = [
+    ["escalateAfter", config.escalateAfter > 0 ? config.escalateAfter : null],
+    ["escalateToAfter", config.escalateTo ? config.escalateToAfter : null],
+  ];
+  return steps
+    .filter(([, minutes]) => minutes !== null && minutes * 60 >= config.permissionTimeout)
+    .map(
+      ([key, minutes]) =>
+        `${key} (${minutes} min) is not below permissionTimeout (${config.permissionTimeout}s), so permission ` +
+        "prompts fall back to the terminal before they are escalated. Raise permissionTimeout."
+    );
+}
@@ -0,0 +1,200 @@
+/**
+ * Message Formatting - Renders markdown as Matrix HTML (org.matrix.custom.html)
+ *
+ * Notifications, /lines output and Claude's final messages are written in markdown.
+ * Messages carry the markdown as the plain `body` and the rendered HTML as
+ * `formatted_body`, so clients that render HTML show bold, code blocks, lists
+ * and tables instead of literal asterisks and backticks.
+ */
+
+import { Marked } from "marked";
+import { getConfig } from "./config.js";
+import { sendFile } from "./attachments.js";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape text for safe inclusion in HTML
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+// Only link to URLs that can't run script in the client
+function isSafeUrl(href) {
+  return /^(https?:|mailto:|matrix:)/i.test(href || "");
+}
+
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    // Raw HTML in the markdown is shown as text, never interpreted
+    html({ text }) {
+      return escapeHtml(text);
+    },
+
+    link({ href, title, tokens }) {
+      const label = this.parser.parseInline(tokens);
+      if (!isSafeUrl(href)) {
+        return label;
+      }
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : "";
+      return `<a href="${escapeHtml(href)}"${titleAttr}>${label}</a>`;
+    },
+
+    // Matrix only displays mxc:// images, so show images as links
+    image({ href, text }) {
+      if (!isSafeUrl(href)) {
+        return escapeHtml(text);
+      }
+      return `<a href="${escapeHtml(href)}">${escapeHtml(text || href)}</a>`;
+    },
+  },
+});
+
+/**
+ * Render markdown to Matrix-safe HTML
+ * @param {string} text - Markdown source
+ * @returns {string} HTML
+ */
+export function renderMarkdown(text) {
+  return markdown.parse(text || "").trim();
+}
+
+/**
+ * Send markdown as a formatted message
+ * @param {MatrixClient} client
+ * @param {string} roomId
+ * @param {string} text - Markdown source, also used as the plain-text body
+ * @param {string|null} [threadId] - Thread root to post into
+ * @param {boolean} [notice] - Send as an m.notice, which clients don't push by default
+ * @returns {Promise<{event_id: string}>}
+ */
+export function sendMarkdown(client, roomId, text, threadId = null, notice = false) {
+  return notice
+    ? client.sendHtmlNotice(roomId, threadId, text, renderMarkdown(text))
+    : client.sendHtmlMessage(roomId, threadId, text, renderMarkdown(text));
+}
+
+/**
+ * Split markdown into chunks of at most maxLength characters.
+ * Breaks between lines where possible, and closes/reopens code fences
+ * so every chunk renders on its own.
+ *
+ * @param {string} text - Markdown source
+ * @param {number} maxLength - Maximum characters per chunk
+ * @returns {string[]}
+ */
+export function splitMarkdown(text, maxLength) {
+  const chunks = [];
+  let current = "";
+  let fence = null; // Opening fence line while inside a code block
+
+  const flush = () => {
+    if (!current) return;
+    chunks.push(fence ? `${current}\n\`\`\`` : current);
+    current = fence ? fence : "";
+  };
+
+  for (const line of text.split("\n")) {
+    // Leave room for a closing fence on every chunk
+    const budget = maxLength - 4;
+    let rest = line;
+
+    for (;;) {
+      const separator = current ? "\n" : "";
+      const room = budget - current.length - separator.length;
+
+      if (rest.length <= room) {
+        current += separator + rest;
+        break;
+      }
+
+      if (current && current !== fence) {
+        flush();
+        continue;
+      }
+
+      // A single line longer than a whole chunk gets hard-split
+      const head = rest.slice(0, Math.max(room, 1));
+      current += separator + head;
+      rest = rest.slice(head.length);
+      flush();
+      if (rest.length === 0) break;
+    }
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      fence = fence ? null : line.trim();
+    }
+  }
+
+  if (current && current !== fence) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+// Cut text to roughly maxLength characters at a line boundary
+function buildPreview(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastBreak = cut.lastIndexOf("\n");
+  return (lastBreak > 0 ? cut.slice(0, lastBreak) : cut) + "\n…";
+}
+
+/**
+ * Send markdown, applying the size policy for oversized messages.
+ *
+ * Messages over maxMessageLength are split into chunks, or uploaded as a file with
+ * a short preview when they would need more than maxChunks messages (or when
+ * oversizedOutput is "file").
+ *
+ * @param {MatrixClient} client
+ * @param {string} roomId
+ * @param {string} text - Markdown source
+ * @param {object} [options]
+ * @param {string|null} [options.threadId] - Thread root to post into
+ * @param {boolean} [options.notice] - Send as m.notice (see sendMarkdown)
+ * @param {object} [options.file] - How to attach the full text when it is uploaded
+ * @param {string} [options.file.name] - File name (default "message.md")
+ * @param {string} [options.file.mimetype] - Mime type (default "text/markdown")
+ * @param {string} [options.file.content] - File contents (default the markdown itself)
+ * @param {string} [options.file.preview] - Preview text (default the start of the markdown)
+ * @returns {Promise<{event_id: string}>} The last event sent
+ */
+export async function sendLongMarkdown(client, roomId, text, { threadId = null, notice = false, file = {} } = {}) {
+  const { maxMessageLength, maxChunks, oversizedOutput } = getConfig();
+
+  if (text.length <= maxMessageLength) {
+    return sendMarkdown(client, roomId, text, threadId, notice);
+  }
+
+  const chunks = oversizedOutput === "chunk" ? splitMarkdown(text, maxMessageLength) : [];
+  if (chunks.length > 0 && chunks.length <= maxChunks) {
+    let response;
+    for (const chunk of chunks) {
+      response = await sendMarkdown(client, roomId, chunk, threadId, notice);
+    }
+    return response;
+  }
+
+  const name = file.name || "message.md";
+  const preview = file.preview ?? buildPreview(text, Math.min(500, maxMessageLength));
+  await sendMarkdown(client, roomId, `${preview}\n\n📎 Full output attached as \`${name}\`.`, threadId, notice);
+  return sendFile(
+    client,
+    roomId,
+    {
+      name,
+      mimetype: file.mimetype || "text/markdown",
+      content: file.content ?? text,
+    },
+    threadId
+  );
+}
@@ -14,13 +14,30 @@ const HOOK_PING_PATH = join(__dirname, "hook-ping.js");
 /**
  * Generate hook settings JSON with all hooks pointing to the IPC socket
  * @param {string} socketPath - Path to the Unix socket
+ * @param {object} [options]
+ * @param {boolean} [options.permissionHook] - Answer permission dialogs through a blocking hook
+ * @param {number} [options.permissionTimeout] - Seconds the blocking hook waits for an answer
+ * @param {boolean} [options.promptHook] - Forward UserPromptSubmit (marks the start of a turn)
+ * @param {boolean} [options.compactHook] - Forward PreCompact
+ * @param {boolean} [options.activityHooks] - Forward SubagentStop and SessionEnd (activity feed)
  * @returns {string} JSON string for --settings flag
  */
-export function generateHooksSettings(socketPath) {
+export function generateHooksSettings(socketPath, options = {}) {
+  const {
+    permissionHook = false,
+    permissionTimeout = 120,
+    promptHook = false,
+    compactHook = false,
+    activityHooks = false,
+  } = options;
+
   // The command that each hook will execute
   // Sets the socket path as env var and runs hook-ping.js
   const hookCmd = `CLAUDE_MATRIX_SOCKET="${socketPath}" node "${HOOK_PING_PATH}"`;
 
+  // Same script, but it keeps the connection open and prints the wrapper's decision
+  const waitHookCmd = `CLAUDE_MATRIX_SOCKET="${socketPath}" CLAUDE_MATRIX_WAIT=1 node "${HOOK_PING_PATH}"`;
+
   const settings = {
     hooks: {
       SessionStart: [
@@ -29,7 +46,7 @@ export function generateHooksSettings(socketPath) {
             {
               type: "command",
               command: hookCmd,
-              timeout: 10000, // 10 seconds
+              timeout: 10, // Claude Code reads hook timeouts in seconds
             },
           ],
         },
@@ -42,7 +59,19 @@ export function generateHooksSettings(socketPath) {
             {
               type: "command",
               command: hookCmd,
-              timeout: 10000,
+              timeout: 10,
+            },
+          ],
+        },
+      ],
+      PostToolUse: [
+        {
+          // A tool ran: its permission dialog, if it had one, has been answered
+          hooks: [
+            {
+              type: "command",
+              command: hookCmd,
+              timeout: 10,
             },
           ],
         },
@@ -53,7 +82,7 @@ export function generateHooksSettings(socketPath) {
             {
               type: "command",
               command: hookCmd,
-              timeout: 10000,
+              timeout: 10,
             },
           ],
         },
@@ -64,7 +93,7 @@ export function generateHooksSettings(socketPath) {
             {
               type: "command",
               command: hookCmd,
-              timeout: 10000,
+              timeout: 10,
             },
           ],
         },
@@ -72,6 +101,54 @@ export function generateHooksSettings(socketPath) {
     },
   };
 
+  if (promptHook) {
+    settings.hooks.UserPromptSubmit = [
+      {
+        hooks: [
+          {
+            type: "command",
+            command: hookCmd,
+            timeout: 10,
+          },
+        ],
+      },
+    ];
+  }
+
+  // Optional events that just ping the socket, like the ones above
+  const optionalEvents = [
+    ...(compactHook ? ["PreCompact"] : []),
+    ...(activityHooks ? ["SubagentStop", "SessionEnd"] : []),
+  ];
+  for (const event of optionalEvents) {
+    settings.hooks[event] = [
+      {
+        hooks: [
+          {
+            type: "command",
+            command: hookCmd,
+            timeout: 10,
+          },
+        ],
+      },
+    ];
+  }
+
+  if (permissionHook) {
+    settings.hooks.PermissionRequest = [
+      {
+        hooks: [
+          {
+            type: "command",
+            command: waitHookCmd,
+            // Outlast the wrapper's own wait so it can reply before the hook is killed
+            timeout: permissionTimeout + 30,
+          },
+        ],
+      },
+    ];
+  }
+
   return JSON.stringify(settings);
 }
 
@@ -8,6 +8,11 @@
  * 3. Writes the payload to the socket
  * 4. Exits
  *
+ * With CLAUDE_MATRIX_WAIT=1 it instead keeps the connection open until the wrapper
+ * replies with a decision ({ decision: "allow" | "deny", reason, updatedPermissions }),
+ * and prints it as Claude Code hook-decision JSON. An empty reply prints nothing,
+ * so Claude Code falls back to its normal terminal prompt.
+ *
  * Fails silently if socket not available (wrapper not running).
  * Zero external dependencies - uses only Node.js built-ins.
  */
@@ -15,12 +20,32 @@
 import { connect } from "net";
 
 const socketPath = process.env.CLAUDE_MATRIX_SOCKET;
+const waitForReply = process.env.CLAUDE_MATRIX_WAIT === "1";
 
 // Exit silently if no socket configured
 if (!socketPath) {
   process.exit(0);
 }
 
+// Convert the wrapper's decision into Claude Code's hook output format
+function formatDecision(hookEventName, response) {
+  const decision =
+    response.decision === "allow"
+      ? { behavior: "allow" }
+      : { behavior: "deny", message: response.reason || "Denied from Matrix" };
+
+  if (response.decision === "allow" && response.updatedPermissions) {
+    decision.updatedPermissions = response.updatedPermissions;
+  }
+
+  return {
+    hookSpecificOutput: {
+      hookEventName,
+      decision,
+    },
+  };
+}
+
 // Read all stdin
 let input = "";
 
@@ -38,18 +63,44 @@ process.stdin.on("end", () => {
     process.exit(0);
   }
 
+  let hookEventName = null;
+  if (waitForReply) {
+    // Mark the payload so the wrapper knows to answer on this connection
+    try {
+      const payload = JSON.parse(input);
+      hookEventName = payload.hook_event_name;
+      input = JSON.stringify({ ...payload, jackpoint_wait: true });
+    } catch (e) {
+      process.exit(0);
+    }
+  }
+
+  let reply = "";
+
   // Connect to socket and send data
   const client = connect(socketPath, () => {
     client.write(input);
     client.end();
   });
 
+  client.on("data", (chunk) => {
+    reply += chunk.toString();
+  });
+
   client.on("error", () => {
     // Fail silently - wrapper might not be running
     process.exit(0);
   });
 
   client.on("close", () => {
+    if (waitForReply && reply.trim()) {
+      try {
+        const response = JSON.parse(reply);
+        process.stdout.write(JSON.stringify(formatDecision(hookEventName, response)));
+      } catch (e) {
+        // Malformed reply - let Claude Code show its own prompt
+      }
+    }
     process.exit(0);
   });
 });
@@ -3,6 +3,10 @@
  *
  * Creates a Unix socket at /tmp/claude-matrix-<sessionId>.sock
  * Receives JSON payloads from hook-ping.js and emits 'hook' events.
+ *
+ * Payloads sent by a waiting hook (jackpoint_wait: true) are emitted as 'request'
+ * events instead, with a reply(response) callback. The connection stays open until
+ * reply is called; reply() with no response lets the hook fall back to the terminal.
  */
 
 import { createServer } from "net";
@@ -33,7 +37,8 @@ export class IPCServer extends EventEmitter {
       }
     }
 
-    this.server = createServer((connection) => {
+    // allowHalfOpen lets us answer a waiting hook after it has finished writing
+    this.server = createServer({ allowHalfOpen: true }, (connection) => {
       let data = "";
 
       connection.on("data", (chunk) => {
@@ -41,17 +46,36 @@ export class IPCServer extends EventEmitter {
       });
 
       connection.on("end", () => {
+        let payload;
         try {
-          const payload = JSON.parse(data);
-          if (DEBUG) {
-            console.log("[IPC] Received hook payload:", payload.type || "unknown");
-          }
-          this.emit("hook", payload);
+          payload = JSON.parse(data);
         } catch (e) {
           if (DEBUG) {
             console.error("[IPC] Failed to parse hook payload:", e.message);
           }
+          connection.end();
+          return;
         }
+
+        if (DEBUG) {
+          console.log("[IPC] Received hook payload:", payload.hook_event_name || "unknown");
+        }
+
+        if (!payload.jackpoint_wait) {
+          connection.end();
+          this.emit("hook", payload);
+          return;
+        }
+
+        delete payload.jackpoint_wait;
+        let replied = false;
+        const reply = (response = null) => {
+          if (replied) return;
+          replied = true;
+          if (connection.destroyed) return;
+          connection.end(response ? JSON.stringify(response) : undefined);
+        };
+        this.emit("request", payload, reply);
       });
 
       connection.on("error", (err) => {
@@ -0,0 +1,144 @@
+/**
+ * Login - Homeserver discovery and the login methods the setup wizard supports
+ *
+ * Besides m.login.password this handles SSO: the homeserver redirects the browser
+ * back to a one-shot HTTP server on 127.0.0.1 with an m.login.token, which is
+ * exchanged for an access token.
+ */
+
+import { createServer } from "http";
+import { spawn } from "child_process";
+
+// Silence SDK logging - must be imported before matrix-js-sdk
+import "./silence-sdk.js";
+import sdk from "matrix-js-sdk";
+
+const DEBUG = process.env.MATRIX_DEBUG === "1";
+
+// How long to wait for the browser to come back from the identity provider
+const SSO_TIMEOUT = 5 * 60 * 1000;
+
+const SSO_DONE_PAGE = `<!doctype html>
+<html><body style="font-family: sans-serif; text-align: center; margin-top: 4em">
+<h2>Jackpoint is logged in</h2><p>You can close this tab and return to the terminal.</p>
+</body></html>`;
+
+/**
+ * Find the homeserver for a user ID through the server's .well-known
+ * @param {string} userId - e.g. "@bot:example.org"
+ * @returns {Promise<string|null>} Base URL (https://<domain> without a .well-known),
+ *                                  or null for a malformed user ID
+ */
+export async function discoverHomeserver(userId) {
+  const domain = userId.split(":").slice(1).join(":");
+  if (!userId.startsWith("@") || !domain) {
+    return null;
+  }
+
+  try {
+    const result = await sdk.AutoDiscovery.findClientConfig(domain);
+    const homeserver = result["m.homeserver"];
+    if (homeserver?.state === sdk.AutoDiscovery.SUCCESS && homeserver.base_url) {
+      return homeserver.base_url.replace(/\/+$/, "");
+    }
+    if (DEBUG) {
+      console.log(`[Login] No usable .well-known for ${domain}:`, homeserver?.error || homeserver?.state);
+    }
+  } catch (e) {
+    if (DEBUG) {
+      console.log(`[Login] Discovery failed for ${domain}:`, e.message);
+    }
+  }
+
+  // No delegation: the homeserver usually lives on the domain itself
+  return `https://${domain}`;
+}
+
+/**
+ * Login methods the homeserver advertises, out of the ones we support
+ * @param {string} homeserver
+ * @returns {Promise<string[]>} Some of "password", "sso" (always includes "token")
+ */
+export async function getLoginMethods(homeserver) {
+  const client = sdk.createClient({ baseUrl: homeserver });
+  const { flows } = await client.loginFlows();
+  const types = flows.map((flow) => flow.type);
+
+  const methods = [];
+  if (types.includes("m.login.password")) methods.push("password");
+  if (types.includes("m.login.sso")) methods.push("sso");
+  // Pasting an access token works regardless of the advertised flows
+  methods.push("token");
+  return methods;
+}
+
+// Best-effort attempt to open a URL in the user's browser
+function openBrowser(url) {
+  const command = process.platform === "darwin" ? "open" : process.platform === "win32" ? "explorer" : "xdg-open";
+  try {
+    const child = spawn(command, [url], { stdio: "ignore", detached: true });
+    child.on("error", () => {});
+    child.unref();
+  } catch (e) {
+    // No browser here - the URL is printed anyway
+  }
+}
+
+/**
+ * Log in through SSO with a loopback redirect
+ * @param {string} homeserver
+ * @returns {Promise<object>} Login response (access_token, user_id, device_id)
+ */
+export async function loginWithSso(homeserver) {
+  const client = sdk.createClient({ baseUrl: homeserver });
+
+  const loginToken = await new Promise((resolve, reject) => {
+    const server = createServer((req, res) => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      const token = url.searchParams.get("loginToken");
+      if (url.pathname !== "/callback" || !token) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "text/html" }).end(SSO_DONE_PAGE);
+      finish(null, token);
+    });
+
+    const timer = setTimeout(() => finish(new Error("Timed out waiting for the SSO login")), SSO_TIMEOUT);
+
+    let done = false;
+    function finish(err, token) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      server.close();
+      if (err) reject(err);
+      else resolve(token);
+    }
+
+    server.on("error", (err) => finish(err));
+    server.listen(0, "127.0.0.1", () => {
+      const redirectUrl = `http://127.0.0.1:${server.address().port}/callback`;
+      const ssoUrl = client.getSsoLoginUrl(redirectUrl, "sso");
+
+      console.log("\nOpen this URL to log in (it should open in your browser):\n");
+      console.log(`  ${ssoUrl}\n`);
+      console.log("Waiting for the login to finish...");
+      openBrowser(ssoUrl);
+    });
+  });
+
+  return client.loginWithToken(loginToken);
+}
+
+/**
+ * Look up who an access token belongs to
+ * @param {string} homeserver
+ * @param {string} accessToken
+ * @returns {Promise<object>} Login-response shaped (access_token, user_id, device_id)
+ */
+export async function loginWithAccessToken(homeserver, accessToken) {
+  const client = sdk.createClient({ baseUrl: homeserver, accessToken });
+  const whoami = await client.whoami();
+  return { access_token: accessToken, user_id: whoami.user_id, device_id: whoami.device_id };
+}
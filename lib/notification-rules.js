@@ -0,0 +1,191 @@
+/**
+ * Notification Rules - Decides whether a notification is sent, sent silently or dropped
+ *
+ * Checked by sendClaudeNotification before anything is posted:
+ *   notificationRules - First matching rule picks the action. A rule matches on any of
+ *                       events, sessions, dirs, hours and days; the ones it leaves out
+ *                       match everything.
+ *   quietHours        - Windows like "22:00-07:00" in which notifications no rule
+ *                       matched are sent silently
+ *   dedupeWindow      - Seconds after a turn's reply (or an idle reminder) within
+ *                       which Claude's idle reminder is dropped, since both
+ *                       announce the same pause
+ *
+ * "silent" posts an m.notice, which Matrix clients don't push by default.
+ */
+
+import { homedir } from "os";
+
+export const RULE_ACTIONS = ["send", "silent", "drop"];
+
+// Notification types the rules can name (sendClaudeNotification's `type`)
+export const NOTIFICATION_TYPES = [
+  "session_start",
+  "turn_start",
+  "question",
+  "permission",
+  "stop",
+  "idle",
+  "tool_use",
+  "compact",
+  "session_end",
+];
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// An idle reminder repeats the pause that the turn's reply already announced
+const PAUSE_TYPES = new Set(["stop", "idle"]);
+
+/**
+ * Parse a time window like "22:00-07:00"
+ * @param {string} text
+ * @returns {{from: number, to: number}|null} Minutes after midnight, or null if malformed
+ */
+export function parseHours(text) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!match) return null;
+  const [fromH, fromM, toH, toM] = match.slice(1).map(Number);
+  const from = fromH * 60 + fromM;
+  const to = toH * 60 + toM;
+  // The end may be midnight written as 24:00, but nothing later
+  if (fromH > 23 || fromM > 59 || toM > 59 || to > 24 * 60) return null;
+  return { from, to };
+}
+
+// True if the local time of date falls in the window; windows may wrap past midnight
+function inHours(window, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return window.from <= window.to
+    ? minutes >= window.from && minutes < window.to
+    : minutes >= window.from || minutes < window.to;
+}
+
+/**
+ * True if the time falls in any of the quietHours windows
+ * @param {string[]} quietHours - Windows like "22:00-07:00"
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+export function isQuietTime(quietHours, date = new Date()) {
+  return quietHours.map(parseHours).some((window) => window && inHours(window, date));
+}
+
+/**
+ * How long until the quietHours windows around a time are over
+ * @param {string[]} quietHours - Windows like "22:00-07:00"
+ * @param {Date} [date]
+ * @returns {number} Milliseconds, 0 outside quiet hours
+ */
+export function msUntilQuietEnds(quietHours, date = new Date()) {
+  const windows = quietHours.map(parseHours).filter(Boolean);
+  let end = new Date(date);
+  // Windows can overlap or follow each other; a full week of quiet is as far as we look
+  for (let i = 0; i < 7 * windows.length && windows.some((w) => inHours(w, end)); i++) {
+    const window = windows.find((w) => inHours(w, end));
+    const next = new Date(end);
+    next.setHours(0, window.to, 0, 0);
+    if (next <= end) next.setDate(next.getDate() + 1);
+    end = next;
+  }
+  return end - date;
+}
+
+// "*" matches any run of characters; a leading "~" is the home directory
+function globToRegExp(pattern) {
+  const expanded = pattern.startsWith("~") ? homedir() + pattern.slice(1) : pattern;
+  const source = expanded.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${source}$`);
+}
+
+// A directory pattern also matches everything below it
+function matchesDir(pattern, cwd) {
+  if (!cwd) return false;
+  const regex = globToRegExp(pattern.replace(/\/+$/, ""));
+  for (let dir = cwd; dir; dir = dir.slice(0, dir.lastIndexOf("/"))) {
+    if (regex.test(dir)) return true;
+  }
+  return false;
+}
+
+function matchesRule(rule, event, date) {
+  if (rule.events && !rule.events.includes(event.type)) return false;
+  if (rule.sessions && !rule.sessions.some((p) => globToRegExp(p).test(event.sessionKey || ""))) return false;
+  if (rule.dirs && !rule.dirs.some((p) => matchesDir(p, event.cwd))) return false;
+  if (rule.hours && !inHours(parseHours(rule.hours), date)) return false;
+  if (rule.days && !rule.days.includes(DAYS[date.getDay()])) return false;
+  return true;
+}
+
+/**
+ * Check notificationRules from config.json
+ * @param {*} rules
+ * @returns {string|null} What's wrong, or null if the rules are usable
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) return "notificationRules must be a list of rules";
+
+  for (const [i, rule] of rules.entries()) {
+    const where = `notificationRules[${i}]`;
+    if (!rule || typeof rule !== "object") return `${where} must be an object`;
+    if (!RULE_ACTIONS.includes(rule.action)) return `${where}.action must be one of: ${RULE_ACTIONS.join(", ")}`;
+    for (const key of ["events", "sessions", "dirs", "days"]) {
+      if (rule[key] !== undefined && !(Array.isArray(rule[key]) && rule[key].every((v) => typeof v === "string"))) {
+        return `${where}.${key} must be a list of strings`;
+      }
+    }
+    const badEvent = rule.events?.find((type) => !NOTIFICATION_TYPES.includes(type));
+    if (badEvent) return `${where}.events: unknown event "${badEvent}" (one of: ${NOTIFICATION_TYPES.join(", ")})`;
+    const badDay = rule.days?.find((day) => !DAYS.includes(day));
+    if (badDay) return `${where}.days: unknown day "${badDay}" (one of: ${DAYS.join(", ")})`;
+    if (rule.hours !== undefined && !parseHours(rule.hours)) return `${where}.hours must look like "22:00-07:00"`;
+  }
+  return null;
+}
+
+export class NotificationFilter {
+  /**
+   * @param {object} options
+   * @param {object[]} [options.rules] - notificationRules
+   * @param {string[]} [options.quietHours] - Windows like "22:00-07:00"
+   * @param {number} [options.dedupeWindow] - Seconds; 0 turns deduplication off
+   */
+  constructor({ rules = [], quietHours = [], dedupeWindow = 0 } = {}) {
+    this.rules = rules;
+    this.quietHours = quietHours;
+    this.dedupeWindow = dedupeWindow * 1000;
+    // sessionKey -> last notification sent to it: { type, at }
+    this.lastSent = new Map();
+  }
+
+  // Only an idle reminder right after the pause was announced is a duplicate.
+  // Prompts and replies always go out, even when they read the same as the last one.
+  isDuplicate(event, now) {
+    if (event.type !== "idle") return false;
+    const last = this.lastSent.get(event.sessionKey);
+    return !!last && PAUSE_TYPES.has(last.type) && now - last.at <= this.dedupeWindow;
+  }
+
+  /**
+   * Decide what happens to a notification, and remember it if it goes out
+   * @param {{type: string, sessionKey: string, cwd: string}} event
+   * @param {Date} [date]
+   * @returns {"send"|"silent"|"drop"}
+   */
+  check(event, date = new Date()) {
+    const now = date.getTime();
+    const rule = this.rules.find((r) => matchesRule(r, event, date));
+
+    let action = rule?.action;
+    if (action !== "drop" && this.dedupeWindow > 0 && this.isDuplicate(event, now)) {
+      action = "drop";
+    }
+    if (!action) {
+      action = isQuietTime(this.quietHours, date) ? "silent" : "send";
+    }
+
+    if (action !== "drop") {
+      this.lastSent.set(event.sessionKey, { type: event.type, at: now });
+    }
+    return action;
+  }
+}
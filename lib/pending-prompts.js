@@ -0,0 +1,86 @@
+/**
+ * Pending Prompts - Tracks notifications that are waiting for an answer from Matrix
+ *
+ * Each entry is keyed by the Matrix event ID of the notification we sent, so a
+ * reaction (m.annotation) on that event can be mapped back to the prompt, the
+ * room and the tmux pane it belongs to.
+ */
+
+// Reaction keys accepted as answers to a permission prompt
+export const PERMISSION_REACTIONS = {
+  "✅": "allow",
+  "👍": "allow",
+  "🔁": "always",
+  "❌": "deny",
+  "👎": "deny",
+};
+
+// Reactions the bot adds to its own permission message as tap targets
+export const PERMISSION_REACTION_HINTS = ["✅", "🔁", "❌"];
+
+// Strip emoji variation selectors so "✅" and "✅️" compare equal
+export function normalizeReactionKey(key) {
+  return (key || "").replace(/\uFE0F/g, "").trim();
+}
+
+// Map a reaction key to a permission answer ("allow" | "always" | "deny") or null
+export function getPermissionAnswer(key) {
+  return PERMISSION_REACTIONS[normalizeReactionKey(key)] || null;
+}
+
+export class PendingPrompts {
+  constructor() {
+    this.prompts = new Map();
+  }
+
+  /**
+   * Remember a prompt we are waiting on
+   * @param {string} eventId - Matrix event ID of the notification
+   * @param {object} prompt - { kind, roomId, sessionKey, tmuxTarget }
+   */
+  add(eventId, prompt) {
+    if (!eventId) return;
+    this.prompts.set(eventId, { ...prompt, eventId, createdAt: Date.now() });
+  }
+
+  /**
+   * Look up a pending prompt by event ID
+   * @param {string} eventId
+   * @returns {object|null}
+   */
+  get(eventId) {
+    return this.prompts.get(eventId) || null;
+  }
+
+  /**
+   * Remove and return a pending prompt (it has been answered)
+   * @param {string} eventId
+   * @returns {object|null}
+   */
+  take(eventId) {
+    const prompt = this.get(eventId);
+    if (prompt) {
+      this.prompts.delete(eventId);
+    }
+    return prompt;
+  }
+
+  /**
+   * Drop pending prompts, e.g. when a new hook event shows the terminal moved on
+   * @param {function(object): boolean} [keep] - Prompts it returns true for are kept
+   * @returns {object[]} The prompts that were dropped
+   */
+  clear(keep = () => false) {
+    const dropped = [];
+    for (const [eventId, prompt] of this.prompts) {
+      if (keep(prompt)) continue;
+      dropped.push(prompt);
+      this.prompts.delete(eventId);
+    }
+    return dropped;
+  }
+
+  get size() {
+    return this.prompts.size;
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Polls - Turns AskUserQuestion questions into Matrix polls and poll votes into keystrokes
+ *
+ * Each question becomes its own poll start event. Votes arrive as poll response
+ * events referencing the poll, and are translated into the navigation keys for
+ * Claude Code's question picker once every question in the call has an answer.
+ */
+
+// Silence SDK logging - must be imported before matrix-js-sdk
+import "./silence-sdk.js";
+import {
+  M_POLL_START,
+  M_POLL_RESPONSE,
+  M_POLL_KIND_DISCLOSED,
+  M_TEXT,
+} from "matrix-js-sdk";
+
+// Answer ID for the free-text path (Claude Code always offers "Other")
+export const OTHER_ANSWER_ID = "other";
+
+export const POLL_START_TYPE = M_POLL_START.name;
+
+// Check whether an event type is a poll vote
+export function isPollResponse(eventType) {
+  return M_POLL_RESPONSE.matches(eventType);
+}
+
+/**
+ * Build the content of a poll start event for one AskUserQuestion question
+ * @param {object} question - { header, question, options: [{ label, description }], multiSelect }
+ * @returns {object} Event content
+ */
+export function buildPollContent(question) {
+  const options = question.options || [];
+  const title = question.header ? `${question.header}: ${question.question}` : question.question;
+
+  const answers = options.map((opt, i) => ({
+    id: `option-${i}`,
+    [M_TEXT.name]: opt.description ? `${opt.label} - ${opt.description}` : opt.label,
+  }));
+  answers.push({ id: OTHER_ANSWER_ID, [M_TEXT.name]: "Other (reply with text)" });
+
+  // Plain-text fallback for clients that can't render polls
+  const fallback = [
+    title,
+    ...answers.map((a, i) => `${i + 1}. ${a[M_TEXT.name]}`),
+  ].join("\n");
+
+  return {
+    [M_POLL_START.name]: {
+      question: { [M_TEXT.name]: title },
+      kind: M_POLL_KIND_DISCLOSED.name,
+      max_selections: question.multiSelect ? answers.length : 1,
+      answers,
+    },
+    [M_TEXT.name]: fallback,
+    body: fallback,
+  };
+}
+
+/**
+ * Parse a poll response event
+ * @param {object} content - Event content
+ * @returns {{pollEventId: string, answers: string[]}|null}
+ */
+export function parsePollResponse(content) {
+  const relation = content["m.relates_to"];
+  const response = M_POLL_RESPONSE.findIn(content);
+  if (!relation || relation.rel_type !== "m.reference" || !response) {
+    return null;
+  }
+  return {
+    pollEventId: relation.event_id,
+    answers: Array.isArray(response.answers) ? response.answers : [],
+  };
+}
+
+/**
+ * Build the keystroke steps that enter the answers into Claude Code's question picker.
+ *
+ * The picker shows one question at a time with the cursor on the first option,
+ * followed by an "Other" row. Enter picks an option (or toggles it for
+ * multi-select), Right moves on, and a final review screen needs Enter to submit.
+ *
+ * @param {object[]} questions - AskUserQuestion questions
+ * @param {object[]} answers - Per question: { selections: string[], otherText: string|null }
+ * @returns {object[]} Steps: { keys: string[] } for named keys, { text: string } for literal text + Enter
+ */
+export function buildQuestionKeys(questions, answers) {
+  const steps = [];
+  const needsReview = questions.length > 1 || questions.some((q) => q.multiSelect);
+
+  questions.forEach((question, qi) => {
+    const optionCount = (question.options || []).length;
+    const { selections, otherText } = answers[qi];
+    const indexes = selections
+      .filter((id) => id !== OTHER_ANSWER_ID)
+      .map((id) => parseInt(id.replace("option-", ""), 10))
+      .filter((i) => i >= 0 && i < optionCount)
+      .sort((a, b) => a - b);
+
+    let cursor = 0;
+    const moveTo = (index) => {
+      const keys = Array(index - cursor).fill("Down");
+      cursor = index;
+      return keys;
+    };
+
+    if (question.multiSelect) {
+      for (const index of indexes) {
+        steps.push({ keys: [...moveTo(index), "Enter"] });
+      }
+    } else if (indexes.length > 0 && otherText === null) {
+      steps.push({ keys: [...moveTo(indexes[0]), "Enter"] });
+      return;
+    }
+
+    if (otherText !== null) {
+      steps.push({ keys: [...moveTo(optionCount), "Enter"] });
+      steps.push({ text: otherText });
+      return;
+    }
+
+    if (question.multiSelect) {
+      steps.push({ keys: ["Right"] });
+    }
+  });
+
+  if (needsReview) {
+    steps.push({ keys: ["Enter"] });
+  }
+
+  return steps;
+}
@@ -0,0 +1,55 @@
+/**
+ * Prompt - Terminal input helpers shared by the setup wizard and subcommands
+ */
+
+/**
+ * Ask a question without echoing the answer (passwords, passphrases).
+ * Reads the terminal in raw mode, so no readline interface may be open on stdin.
+ * @param {string} prompt
+ * @returns {Promise<string>}
+ */
+export function askHidden(prompt) {
+  if (!process.stdin.isTTY) {
+    throw new Error(`Cannot ask for input ("${prompt.trim()}") without a terminal`);
+  }
+
+  const { stdin, stdout } = process;
+  stdout.write(prompt);
+
+  return new Promise((resolve, reject) => {
+    let answer = "";
+
+    const finish = (err) => {
+      stdin.off("data", onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write("\n");
+      if (err) reject(err);
+      else resolve(answer);
+    };
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n" || char === "\u0004") {
+          finish();
+          return;
+        }
+        if (char === "\u0003") {
+          // Raw mode swallows Ctrl-C, so cancel by hand
+          finish(new Error("Cancelled"));
+          return;
+        }
+        if (char === "\u007f" || char === "\b") {
+          answer = answer.slice(0, -1);
+        } else {
+          answer += char;
+        }
+      }
+    };
+
+    stdin.setRawMode(true);
+    stdin.setEncoding("utf-8");
+    stdin.on("data", onData);
+    stdin.resume();
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * Room Status - Mirrors a session's state in its Matrix room
+ *
+ * The typing indicator is kept alive for as long as Claude is working (a single
+ * one expires after 30 seconds); nothing else sets it. With showStatus, the room
+ * name also gets a status marker prefix and the topic shows the directory, git
+ * branch and wrapped command. Each change of those is a state event in the
+ * timeline, so that part is opt-in.
+ */
+
+const DEBUG = process.env.MATRIX_DEBUG === "1";
+
+export const STATUS_MARKERS = {
+  working: "⚙️",
+  waiting: "💬",
+  permission: "🔐",
+  exited: "⏹️",
+};
+
+// Typing notifications last this long, and are renewed before they run out
+const TYPING_TIMEOUT = 30000;
+const TYPING_REFRESH = 20000;
+
+// Remove a status marker we added earlier
+function stripMarker(name) {
+  for (const marker of Object.values(STATUS_MARKERS)) {
+    if (name.startsWith(`${marker} `)) return name.slice(marker.length + 1);
+  }
+  return name;
+}
+
+export class RoomStatus {
+  /**
+   * @param {MatrixClient} client
+   * @param {SessionState} sessionState - Source of the status, room, cwd and command
+   * @param {object} [options]
+   * @param {function(string): {branch: string}|null} [options.getGitStatus] - For the topic
+   * @param {boolean} [options.showStatus] - Also update the room name and topic
+   */
+  constructor(client, sessionState, { getGitStatus = () => null, showStatus = false } = {}) {
+    this.client = client;
+    this.state = sessionState;
+    this.getGitStatus = getGitStatus;
+    this.showStatus = showStatus;
+    this.lastTopic = null;
+    this.typingRoom = null;
+    this.typingTimer = null;
+    this.stopped = false;
+    // Updates run one at a time, each applying the latest state
+    this.queue = Promise.resolve();
+
+    this.onChange = () => this.update();
+    this.state.on("change", this.onChange);
+  }
+
+  update() {
+    const { roomId, status } = this.state;
+    if (!roomId) return this.queue;
+
+    if (!this.stopped) {
+      this.setTyping(status === "working" ? roomId : null);
+    }
+    if (!this.showStatus) return this.queue;
+
+    this.queue = this.queue.then(() => this.apply()).catch((e) => {
+      if (DEBUG) {
+        console.error("[RoomStatus] Update failed:", e.message);
+      }
+    });
+    return this.queue;
+  }
+
+  async apply() {
+    const { roomId, status, cwd, program, args } = this.state;
+
+    // Read the name each time, so renames done elsewhere are kept
+    let name = "";
+    try {
+      ({ name } = await this.client.getStateEvent(roomId, "m.room.name", ""));
+    } catch (e) {
+      // Unnamed room
+    }
+    const newName = `${STATUS_MARKERS[status]} ${stripMarker(name || "Claude")}`;
+    if (newName !== name) {
+      await this.client.setRoomName(roomId, newName);
+    }
+
+    const branch = this.getGitStatus(cwd)?.branch;
+    const topic = [cwd, branch && `branch ${branch}`, [program, ...args].join(" ")].filter(Boolean).join(" · ");
+    if (topic !== this.lastTopic) {
+      await this.client.setRoomTopic(roomId, topic);
+      this.lastTopic = topic;
+    }
+  }
+
+  // Keep typing on in roomId, or turn it off with null
+  setTyping(roomId) {
+    if (roomId === this.typingRoom) return;
+
+    const send = (room, isTyping) =>
+      this.client.sendTyping(room, isTyping, isTyping ? TYPING_TIMEOUT : undefined).catch((e) => {
+        if (DEBUG) {
+          console.error("[RoomStatus] Typing update failed:", e.message);
+        }
+      });
+
+    if (this.typingTimer) {
+      clearInterval(this.typingTimer);
+      this.typingTimer = null;
+      send(this.typingRoom, false);
+    }
+
+    this.typingRoom = roomId;
+    if (roomId) {
+      send(roomId, true);
+      this.typingTimer = setInterval(() => send(roomId, true), TYPING_REFRESH);
+    }
+  }
+
+  /**
+   * Apply the final state and stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.state.off("change", this.onChange);
+    this.stopped = true;
+    this.setTyping(null);
+    await this.update();
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Rooms - Inspect and tidy the session key -> room mappings in session.json
+ *
+ * Backs `jackpoint rooms`. Room details come from the homeserver's REST API,
+ * so these work without a synced client. Also tracks rooms whose session has
+ * ended (session.closedRooms).
+ */
+
+import { loadSession, updateSession } from "./config.js";
+
+const AGE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse an age like "30d", "12h", "2w" or "45m"
+ * @param {string} text
+ * @returns {number|null} Milliseconds, or null if it isn't an age
+ */
+export function parseAge(text) {
+  const match = /^(\d+)([mhdw])$/.exec(String(text).trim());
+  return match ? Number(match[1]) * AGE_UNITS[match[2]] : null;
+}
+
+// Format milliseconds as the largest whole unit: "3d", "5h", "12m"
+export function formatAge(ms) {
+  for (const unit of ["w", "d", "h"]) {
+    if (ms >= AGE_UNITS[unit]) return `${Math.floor(ms / AGE_UNITS[unit])}${unit}`;
+  }
+  return `${Math.floor(ms / AGE_UNITS.m)}m`;
+}
+
+/**
+ * Resolve a session key or room ID to a room ID
+ * @param {string} target
+ * @returns {string|null}
+ */
+export function resolveRoom(target) {
+  if (target.startsWith("!")) return target;
+  return loadSession().rooms?.[target] || null;
+}
+
+// Name and timestamp of the newest event, or nulls where the server won't say
+async function getRoomDetails(client, roomId) {
+  let name = null;
+  let lastActivity = null;
+
+  try {
+    ({ name } = await client.getStateEvent(roomId, "m.room.name", ""));
+  } catch (e) {
+    // Unnamed room, or we're no longer in it
+  }
+
+  try {
+    const { chunk } = await client.createMessagesRequest(roomId, null, 1, "b");
+    lastActivity = chunk[0]?.origin_server_ts || null;
+  } catch (e) {
+    // Not allowed to read it any more
+  }
+
+  return { name, lastActivity };
+}
+
+/**
+ * Every mapped session key with its room's details
+ * @param {MatrixClient} client
+ * @returns {Promise<{key: string, roomId: string, name: string|null, lastActivity: number|null, joined: boolean}[]>}
+ */
+export async function listRooms(client) {
+  const rooms = loadSession().rooms || {};
+  const { joined_rooms } = await client.getJoinedRooms();
+
+  // Several keys can share one room; look each room up once
+  const details = {};
+  for (const roomId of new Set(Object.values(rooms))) {
+    details[roomId] = joined_rooms.includes(roomId)
+      ? await getRoomDetails(client, roomId)
+      : { name: null, lastActivity: null };
+  }
+
+  return Object.entries(rooms).map(([key, roomId]) => ({
+    key,
+    roomId,
+    ...details[roomId],
+    joined: joined_rooms.includes(roomId),
+  }));
+}
+
+/**
+ * Leave and forget a room, and drop every session key mapped to it
+ * @param {MatrixClient} client
+ * @param {string} roomId
+ * @returns {Promise<string[]>} Session keys that pointed at the room
+ */
+export async function forgetRoom(client, roomId) {
+  try {
+    await client.leave(roomId);
+  } catch (e) {
+    // Already left
+  }
+  try {
+    await client.forget(roomId);
+  } catch (e) {
+    // Already forgotten
+  }
+
+  const keys = [];
+  await updateSession((session) => {
+    for (const [key, mapped] of Object.entries(session.rooms || {})) {
+      if (mapped === roomId) {
+        keys.push(key);
+        delete session.rooms[key];
+      }
+    }
+    delete session.closedRooms?.[roomId];
+  });
+  return keys;
+}
+
+/**
+ * Forget rooms with no activity for maxAgeMs, and mappings to rooms the bot has left
+ * @param {MatrixClient} client
+ * @param {number} maxAgeMs
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be pruned
+ * @returns {Promise<object[]>} Pruned entries, as returned by listRooms
+ */
+export async function pruneRooms(client, maxAgeMs, { dryRun = false } = {}) {
+  const now = Date.now();
+  const stale = (await listRooms(client)).filter(
+    (room) => !room.joined || (room.lastActivity && now - room.lastActivity > maxAgeMs)
+  );
+
+  if (!dryRun) {
+    for (const roomId of new Set(stale.map((room) => room.roomId))) {
+      await forgetRoom(client, roomId);
+    }
+  }
+  return stale;
+}
+
+/**
+ * Rename a room
+ * @param {MatrixClient} client
+ * @param {string} roomId
+ * @param {string} name
+ */
+export async function renameRoom(client, roomId, name) {
+  await client.setRoomName(roomId, name);
+}
+
+/**
+ * Point a session key (a tmux pane) at an existing room, joining it if needed
+ * @param {MatrixClient} client
+ * @param {string} key - Session key, e.g. "host:session:0.1"
+ * @param {string} roomId
+ */
+export async function bindRoom(client, key, roomId) {
+  const { joined_rooms } = await client.getJoinedRooms();
+  if (!joined_rooms.includes(roomId)) {
+    await client.joinRoom(roomId);
+  }
+
+  await updateSession((session) => {
+    session.rooms = { ...session.rooms, [key]: roomId };
+  });
+}
+
+/**
+ * Mark a room as closed after its session ended, so later messages get a reply
+ * instead of being typed into whatever the pane runs next
+ * @param {string} roomId
+ * @param {string} reason - e.g. "exit code 1"
+ */
+export async function markRoomClosed(roomId, reason) {
+  await updateSession((session) => {
+    session.closedRooms = { ...session.closedRooms, [roomId]: { at: Date.now(), reason } };
+  });
+}
+
+/**
+ * Reopen a room for a new session
+ * @param {string} roomId
+ */
+export async function reopenRoom(roomId) {
+  if (!loadSession().closedRooms?.[roomId]) return;
+  await updateSession((session) => {
+    delete session.closedRooms?.[roomId];
+  });
+}
+
+/**
+ * How a closed room's session ended, or null if the room is open
+ * @param {string} roomId
+ * @returns {{at: number, reason: string}|null}
+ */
+export function getClosedRoom(roomId) {
+  return loadSession().closedRooms?.[roomId] || null;
+}
+
+/**
+ * Claim the reply to a message in a closed room. Every running listener sees the
+ * message; only the first to claim it answers.
+ * @param {string} roomId
+ * @param {string} eventId
+ * @returns {Promise<boolean>} True if this caller should reply
+ */
+export async function claimClosedRoomReply(roomId, eventId) {
+  let claimed = false;
+  await updateSession((session) => {
+    const closed = session.closedRooms?.[roomId];
+    if (closed && closed.lastReply !== eventId) {
+      closed.lastReply = eventId;
+      claimed = true;
+    }
+  });
+  return claimed;
+}
@@ -0,0 +1,152 @@
+/**
+ * Session State - What the wrapper knows about the program it is running
+ *
+ * Updated from hook events and the child process, and rendered by the
+ * status command so the room can see what the session is doing. Emits
+ * "change" whenever the status or the session's room changes.
+ */
+
+import { EventEmitter } from "events";
+
+// Hook events after which Claude is busy, and after which it waits for the user.
+// PostToolUse is left to the wrapper, which knows whether other permission dialogs are open.
+const WORKING_EVENTS = new Set(["UserPromptSubmit"]);
+const WAITING_EVENTS = new Set(["SessionStart", "Stop", "Notification"]);
+
+// How each status reads in the status command
+export const STATUS_LABELS = {
+  working: "working",
+  waiting: "waiting for input",
+  permission: "needs permission",
+  exited: "exited",
+};
+
+// Format milliseconds as "1h 02m", "3m 05s" or "12s"
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+  return `${seconds}s`;
+}
+
+export class SessionState extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.program - Wrapped program
+   * @param {string[]} options.args - Arguments passed by the user
+   */
+  constructor({ program, args }) {
+    super();
+    this.program = program;
+    this.args = args;
+    this.pid = null;
+    this.startedAt = Date.now();
+    this.cwd = process.cwd();
+    this.lastHook = null; // { name, at }
+    this.sessionId = null; // Claude Code's session ID
+    this.transcriptPath = null;
+    this.status = "waiting"; // One of STATUS_LABELS' keys
+    this.roomId = null; // Room the session posts to, once known
+  }
+
+  // True while Claude is busy
+  get working() {
+    return this.status === "working";
+  }
+
+  setStatus(status) {
+    if (this.status === status || this.status === "exited") return;
+    this.status = status;
+    this.emit("change");
+  }
+
+  // Record the room the session's notifications go to
+  setRoom(roomId) {
+    if (!roomId || roomId === this.roomId) return;
+    this.roomId = roomId;
+    this.emit("change");
+  }
+
+  // Record the spawned child process
+  setChild(child) {
+    this.pid = child.pid;
+  }
+
+  // Claude resumes once a prompt is answered from Matrix
+  markWorking() {
+    this.setStatus("working");
+  }
+
+  // The wrapped program has exited
+  markExited() {
+    this.setStatus("exited");
+  }
+
+  // Update from a hook payload
+  recordHook(payload) {
+    const { hook_event_name, tool_name, cwd, session_id, transcript_path, notification_type } = payload;
+    this.lastHook = { name: hook_event_name, at: Date.now() };
+    if (cwd) {
+      this.cwd = cwd;
+    }
+    if (session_id) {
+      this.sessionId = session_id;
+    }
+    if (transcript_path) {
+      this.transcriptPath = transcript_path;
+    }
+
+    if (hook_event_name === "PermissionRequest" || notification_type === "permission_prompt") {
+      this.setStatus("permission");
+    } else if (notification_type === "idle_prompt" && this.status === "permission") {
+      // Idle while a permission dialog is still open: it still needs permission
+    } else if (WORKING_EVENTS.has(hook_event_name)) {
+      this.setStatus("working");
+    } else if (WAITING_EVENTS.has(hook_event_name)) {
+      this.setStatus("waiting");
+    } else if (hook_event_name === "PreToolUse") {
+      // AskUserQuestion stops to wait for an answer; other tools mean work
+      this.setStatus(tool_name === "AskUserQuestion" ? "waiting" : "working");
+    }
+  }
+
+  /**
+   * Render the status as markdown
+   * @param {object} extra
+   * @param {{branch: string, changes: number}|null} extra.git - Git status of the cwd
+   * @param {object[]} extra.pending - Prompts waiting for an answer
+   * @returns {string}
+   */
+  format({ git, pending }) {
+    const now = Date.now();
+    const command = [this.program, ...this.args].join(" ");
+
+    const gitLine = git
+      ? `\`${git.branch}\` (${git.changes === 0 ? "clean" : `${git.changes} changed file${git.changes === 1 ? "" : "s"}`})`
+      : "not a git repository";
+
+    const lastHook = this.lastHook
+      ? `\`${this.lastHook.name}\` ${formatDuration(now - this.lastHook.at)} ago`
+      : "none yet";
+
+    const pendingKinds = [...new Set(pending.map((p) => p.kind))];
+    const pendingLine = pendingKinds.length > 0 ? pendingKinds.join(", ") : "none";
+
+    return [
+      "📊 **Session status**",
+      `Program: \`${command}\``,
+      `PID: \`${this.pid ?? "not started"}\``,
+      `Uptime: ${formatDuration(now - this.startedAt)}`,
+      `Dir: \`${this.cwd}\``,
+      `Git: ${gitLine}`,
+      `Last hook: ${lastHook}`,
+      `Pending: ${pendingLine}`,
+      `Claude: ${STATUS_LABELS[this.status]}`,
+    ].join("\n");
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Token Store - Keeps the Matrix access token in session.json, encrypted or not
+ *
+ * tokenStorage in config.json picks where the token lives:
+ *   "plain"      - session.accessToken (the file is still 0600)
+ *   "passphrase" - session.encryptedToken, AES-256-GCM with a scrypt-derived key;
+ *                  the passphrase comes from JACKPOINT_PASSPHRASE or is asked for
+ *   "keyring"    - the OS keyring (secret-tool on Linux, security on macOS);
+ *                  session.tokenInKeyring marks that it's there
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "crypto";
+import { execFileSync } from "child_process";
+import { askHidden } from "./prompt.js";
+
+const KEYRING_SERVICE = "jackpoint";
+
+// Session fields that hold (or point to) the token
+export const TOKEN_FIELDS = ["accessToken", "encryptedToken", "tokenInKeyring"];
+
+// Asked for once per process
+let cachedPassphrase = null;
+
+async function getPassphrase(confirm = false) {
+  if (process.env.JACKPOINT_PASSPHRASE) {
+    return process.env.JACKPOINT_PASSPHRASE;
+  }
+  if (cachedPassphrase) {
+    return cachedPassphrase;
+  }
+
+  const passphrase = await askHidden("Passphrase for the Matrix token: ");
+  if (!passphrase) {
+    throw new Error("A passphrase is required with tokenStorage \"passphrase\"");
+  }
+  if (confirm && (await askHidden("Repeat passphrase: ")) !== passphrase) {
+    throw new Error("Passphrases don't match");
+  }
+
+  cachedPassphrase = passphrase;
+  return passphrase;
+}
+
+function encryptToken(token, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", scryptSync(passphrase, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(token, "utf-8"), cipher.final()]);
+
+  return {
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decryptToken(encrypted, passphrase) {
+  const key = scryptSync(passphrase, Buffer.from(encrypted.salt, "base64"), 32);
+  const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(encrypted.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, "base64")),
+      decipher.final(),
+    ]).toString("utf-8");
+  } catch (e) {
+    throw new Error("Wrong passphrase for the stored Matrix token");
+  }
+}
+
+// Run a keyring helper, turning "not installed" into a readable error
+function runKeyring(command, args, options = {}) {
+  try {
+    return execFileSync(command, args, { encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"], ...options }).trim();
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      throw new Error(`tokenStorage "keyring" needs \`${command}\`, which isn't installed`);
+    }
+    throw new Error(`Keyring helper failed: ${(e.stderr || e.message).toString().trim()}`);
+  }
+}
+
+// Quote an argument for a command line read by `security -i`
+function quoteSecurityArg(arg) {
+  return `"${String(arg).replace(/["\\]/g, "\\$&")}"`;
+}
+
+function keyringStore(account, token) {
+  if (process.platform === "darwin") {
+    // `security -i` reads the command from stdin, so the token never shows up in `ps`
+    const command = ["add-generic-password", "-U", "-s", KEYRING_SERVICE, "-a", account, "-w", token];
+    runKeyring("security", ["-i"], { input: `${command.map(quoteSecurityArg).join(" ")}\n` });
+    // Interactive mode exits 0 even when the command fails
+    if (keyringLookup(account) !== token) {
+      throw new Error("Keyring helper failed: the token could not be saved to the login keychain");
+    }
+  } else {
+    runKeyring("secret-tool", ["store", "--label=Jackpoint Matrix token", "service", KEYRING_SERVICE, "account", account], {
+      input: token,
+    });
+  }
+}
+
+function keyringLookup(account) {
+  if (process.platform === "darwin") {
+    return runKeyring("security", ["find-generic-password", "-s", KEYRING_SERVICE, "-a", account, "-w"]);
+  }
+  return runKeyring("secret-tool", ["lookup", "service", KEYRING_SERVICE, "account", account]);
+}
+
+function keyringErase(account) {
+  if (process.platform === "darwin") {
+    runKeyring("security", ["delete-generic-password", "-s", KEYRING_SERVICE, "-a", account]);
+  } else {
+    runKeyring("secret-tool", ["clear", "service", KEYRING_SERVICE, "account", account]);
+  }
+}
+
+/**
+ * Whether a session holds a token, wherever it is stored
+ * @param {object} session
+ * @returns {boolean}
+ */
+export function hasToken(session) {
+  return TOKEN_FIELDS.some((field) => !!session[field]);
+}
+
+/**
+ * Store an access token on a session object (the caller saves the session)
+ * @param {object} session - Needs userId for the keyring
+ * @param {string} token
+ * @param {string} storage - "plain", "passphrase" or "keyring"
+ */
+export async function storeToken(session, token, storage = "plain") {
+  clearToken(session);
+
+  if (storage === "passphrase") {
+    session.encryptedToken = encryptToken(token, await getPassphrase(true));
+  } else if (storage === "keyring") {
+    keyringStore(session.userId, token);
+    session.tokenInKeyring = true;
+  } else {
+    session.accessToken = token;
+  }
+}
+
+/**
+ * Read the access token from a session object
+ * @param {object} session
+ * @returns {Promise<string|null>}
+ */
+export async function loadToken(session) {
+  if (session.encryptedToken) {
+    return decryptToken(session.encryptedToken, await getPassphrase());
+  }
+  if (session.tokenInKeyring) {
+    let token = null;
+    let reason = "no token is stored for this account";
+    try {
+      token = keyringLookup(session.userId);
+    } catch (e) {
+      reason = e.message;
+    }
+    if (!token) {
+      throw new Error(
+        `Couldn't read the Matrix token from the OS keyring: ${reason}. ` +
+          "Use 'jackpoint config set tokenStorage plain' (or passphrase) and run 'jackpoint --setup' again."
+      );
+    }
+    return token;
+  }
+  return session.accessToken || null;
+}
+
+/**
+ * Forget the access token, wherever it is stored (the caller saves the session)
+ * @param {object} session
+ */
+export function clearToken(session) {
+  if (session.tokenInKeyring) {
+    try {
+      keyringErase(session.userId);
+    } catch (e) {
+      // Already gone
+    }
+  }
+  for (const field of TOKEN_FIELDS) {
+    delete session[field];
+  }
+}
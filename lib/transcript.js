@@ -0,0 +1,151 @@
+/**
+ * Transcript - Reads Claude Code's JSONL session transcript
+ *
+ * Each line is one entry; user and assistant entries carry a `message` with
+ * `role` and `content` (a string or an array of text / tool_use / tool_result blocks).
+ */
+
+import { readFileSync } from "fs";
+
+// Longest tool result kept in the markdown export
+const MAX_RESULT_LINES = 20;
+const MAX_RESULT_CHARS = 1500;
+
+/**
+ * Read and parse a transcript file, skipping lines that aren't valid JSON
+ * @param {string} transcriptPath
+ * @returns {object[]} Entries
+ */
+export function readTranscript(transcriptPath) {
+  const entries = [];
+  for (const line of readFileSync(transcriptPath, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Partially written line
+    }
+  }
+  return entries;
+}
+
+// Normalize message content to an array of blocks
+function getBlocks(message) {
+  if (typeof message.content === "string") {
+    return [{ type: "text", text: message.content }];
+  }
+  return Array.isArray(message.content) ? message.content : [];
+}
+
+/**
+ * Get the text of the last assistant message that has any
+ * @param {string} transcriptPath
+ * @returns {string|null}
+ */
+export function getLastAssistantText(transcriptPath) {
+  const entries = readTranscript(transcriptPath);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const msg = entries[i].message;
+    if (msg && msg.role === "assistant" && msg.content) {
+      // Get text content, skip tool uses
+      const textParts = getBlocks(msg).filter((c) => c.type === "text");
+      if (textParts.length > 0) {
+        return textParts.map((t) => t.text).join("\n");
+      }
+    }
+  }
+  return null;
+}
+
+// One-line summary of a tool call's input
+function summarizeToolInput(name, input = {}) {
+  if (input.command) return input.command;
+  if (input.file_path) return input.file_path;
+  if (input.pattern) return input.path ? `${input.pattern} in ${input.path}` : input.pattern;
+  if (input.url) return input.url;
+  if (input.description) return input.description;
+  if (name === "AskUserQuestion" && input.questions) {
+    return input.questions.map((q) => q.question).join(" / ");
+  }
+  const json = JSON.stringify(input);
+  return json.length > 200 ? `${json.slice(0, 200)}…` : json;
+}
+
+// Flatten a tool result and cut it to a readable size
+function summarizeToolResult(content) {
+  let text = typeof content === "string"
+    ? content
+    : (content || []).filter((c) => c.type === "text").map((c) => c.text).join("\n");
+
+  const lines = text.split("\n");
+  if (lines.length > MAX_RESULT_LINES) {
+    text = `${lines.slice(0, MAX_RESULT_LINES).join("\n")}\n… (${lines.length - MAX_RESULT_LINES} more lines)`;
+  }
+  if (text.length > MAX_RESULT_CHARS) {
+    text = `${text.slice(0, MAX_RESULT_CHARS)}…`;
+  }
+  return text;
+}
+
+// Wrap text in a code fence longer than any run of backticks inside it, so
+// output that contains ``` can't close the block early
+function codeBlock(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(Math.max(3, longestRun + 1));
+  return `${fence}\n${text}\n${fence}`;
+}
+
+// A user entry that starts a turn (a prompt, not a tool result or injected meta text)
+function isPrompt(entry) {
+  if (entry.type !== "user" || entry.isMeta || !entry.message) return false;
+  return getBlocks(entry.message).some((b) => b.type === "text");
+}
+
+/**
+ * Convert transcript entries to readable markdown
+ * @param {object[]} entries - From readTranscript
+ * @param {object} [options]
+ * @param {number} [options.turns] - Only include the last N turns (a positive number)
+ * @returns {{markdown: string, turns: number}}
+ */
+export function transcriptToMarkdown(entries, { turns = null } = {}) {
+  // Group entries into turns, each starting at a user prompt
+  const groups = [];
+  for (const entry of entries) {
+    if ((entry.type !== "user" && entry.type !== "assistant") || !entry.message) continue;
+    if (isPrompt(entry) || groups.length === 0) {
+      groups.push([]);
+    }
+    groups[groups.length - 1].push(entry);
+  }
+
+  const selected = turns > 0 ? groups.slice(-turns) : groups;
+  const sections = [];
+
+  selected.forEach((group, i) => {
+    const lines = [`## Turn ${groups.length - selected.length + i + 1}`];
+
+    for (const entry of group) {
+      for (const block of getBlocks(entry.message)) {
+        if (entry.type === "user" && block.type === "text" && !entry.isMeta) {
+          lines.push(`### 👤 User\n\n${block.text}`);
+        } else if (entry.type === "user" && block.type === "tool_result") {
+          const label = block.is_error ? "❗ Tool error" : "Result";
+          lines.push(`**${label}:**\n\n${codeBlock(summarizeToolResult(block.content))}`);
+        } else if (entry.type === "assistant" && block.type === "text") {
+          lines.push(`### 🤖 Claude\n\n${block.text}`);
+        } else if (entry.type === "assistant" && block.type === "tool_use") {
+          const summary = summarizeToolInput(block.name, block.input).split("\n")[0];
+          lines.push(`🔧 **${block.name}**: \`${summary}\``);
+        }
+      }
+    }
+
+    sections.push(lines.join("\n\n"));
+  });
+
+  return {
+    markdown: `# Claude Code Transcript\n\n${sections.join("\n\n---\n\n")}\n`,
+    turns: selected.length,
+  };
+}
@@ -22,10 +22,21 @@ import { hostname } from "os";
 import {
   getConfig,
   loadSession,
-  saveSession,
+  updateSession,
+  saveLogin,
   isConfigured,
   runSetupWizard,
+  withoutProfileArgs,
+  PROFILE,
+  DEFAULT_PROFILE,
 } from "./lib/config.js";
+import { initCrypto, saveCryptoStore, deleteCryptoStore, unlockCryptoStore } from "./lib/crypto.js";
+import { loadToken, clearToken } from "./lib/token-store.js";
+import { sendMarkdown, sendLongMarkdown } from "./lib/format.js";
+import { PERMISSION_REACTION_HINTS } from "./lib/pending-prompts.js";
+import { reopenRoom } from "./lib/rooms.js";
+import { buildPollContent, POLL_START_TYPE } from "./lib/polls.js";
+import { NotificationFilter } from "./lib/notification-rules.js";
 
 // Check for debug mode
 const DEBUG = process.env.MATRIX_DEBUG === "1";
@@ -35,7 +46,17 @@ const config = getConfig();
 const MATRIX_HOMESERVER = config.homeserver;
 const MATRIX_USER = config.user;
 const MATRIX_PASS = config.password;
+const TOKEN_STORAGE = config.tokenStorage;
 const MATRIX_RECIPIENT = config.recipient;
+const ENCRYPTION = config.encryption;
+const THREADS = config.threads;
+
+// Rules, quiet hours and deduplication applied to every Claude notification
+const notificationFilter = new NotificationFilter({
+  rules: config.notificationRules,
+  quietHours: config.quietHours,
+  dedupeWindow: config.dedupeWindow,
+});
 
 // Get tmux session identifier (session:window.pane format)
 export function getTmuxPane() {
@@ -72,6 +93,20 @@ export function getGitRoot(cwd) {
   }
 }
 
+// Get git branch and number of changed files for a given path
+export function getGitStatus(cwd) {
+  if (!cwd) return null;
+  try {
+    const options = { encoding: "utf-8", cwd, stdio: ["pipe", "pipe", "pipe"] };
+    const branch = execSync("git rev-parse --abbrev-ref HEAD", options).trim();
+    const changes = execSync("git status --porcelain", options).split("\n").filter(Boolean).length;
+    return { branch, changes };
+  } catch (e) {
+    // Not in a git repo
+    return null;
+  }
+}
+
 // Generate session key from hostname and tmux pane (or directory as fallback)
 export function getSessionKey(cwd = null) {
   const host = getHostname();
@@ -89,21 +124,105 @@ export function getSessionKey(cwd = null) {
 // Re-export for use by other modules
 export { isConfigured, runSetupWizard };
 
+// Authenticated client, shared by everything in this process
+// (an encrypted session needs a single client that owns the crypto store)
+let clientPromise = null;
+
+// How often the crypto store is snapshotted to disk while syncing
+const CRYPTO_SAVE_INTERVAL = 60000;
+
 // Get authenticated client (exported for upfront auth)
-export async function getClient() {
+export function getClient() {
+  if (!clientPromise) {
+    clientPromise = connectClient().catch((err) => {
+      clientPromise = null;
+      throw err;
+    });
+  }
+  return clientPromise;
+}
+
+// Stop the shared client and persist its crypto store
+export async function closeClient() {
+  if (!clientPromise) return;
+  const pending = clientPromise;
+  clientPromise = null;
+
+  try {
+    const { client } = await pending;
+    client.stopClient();
+    if (client.getCrypto()) {
+      await saveCryptoStore(client);
+      unlockCryptoStore(client.getDeviceId());
+    }
+  } catch (e) {
+    if (DEBUG) {
+      console.error("[Bridge] Error closing client:", e.message);
+    }
+  }
+}
+
+// Log in (or reuse the stored token) and set up encryption if enabled
+async function connectClient() {
+  const { client, session } = await loginClient();
+
+  if (ENCRYPTION) {
+    await initCrypto(client);
+    // Encrypting needs room state and member devices, so sync before sending
+    await startSyncing(client);
+
+    let lastSave = Date.now();
+    client.on("sync", () => {
+      if (Date.now() - lastSave < CRYPTO_SAVE_INTERVAL) return;
+      lastSave = Date.now();
+      saveCryptoStore(client).catch((e) => {
+        if (DEBUG) {
+          console.error("[Bridge] Failed to save crypto store:", e.message);
+        }
+      });
+    });
+  }
+
+  return { client, session };
+}
+
+// Start the client and wait for the initial sync
+function startSyncing(client) {
+  return new Promise((resolve) => {
+    const onSync = (state) => {
+      if (state === "PREPARED") {
+        client.removeListener("sync", onSync);
+        resolve();
+      }
+    };
+    client.on("sync", onSync);
+    client.startClient({ initialSyncLimit: 0 });
+  });
+}
+
+async function loginClient() {
   const session = loadSession();
 
   // Try existing token first
-  if (session.accessToken && session.userId) {
+  const accessToken = await loadToken(session);
+  if (accessToken && session.userId) {
     const client = sdk.createClient({
       baseUrl: MATRIX_HOMESERVER,
-      accessToken: session.accessToken,
+      accessToken,
       userId: session.userId,
+      deviceId: session.deviceId,
     });
 
     // Verify token still works
     try {
-      await client.whoami();
+      const { device_id } = await client.whoami();
+      if (!session.deviceId && device_id) {
+        // Sessions from older versions didn't record the device
+        await updateSession((s) => {
+          s.deviceId = device_id;
+        });
+        return loginClient();
+      }
       return { client, session };
     } catch (e) {
       // Token expired, need to login again
@@ -111,9 +230,13 @@ export async function getClient() {
   }
 
   // Login with password
-  if (!MATRIX_USER || !MATRIX_PASS) {
+  if (!MATRIX_USER) {
     throw new Error("Matrix credentials not configured. Run 'jackpoint --setup' to configure.");
   }
+  if (!MATRIX_PASS) {
+    // Token-only mode keeps no password to log in with again
+    throw new Error("Matrix session expired or logged out. Run 'jackpoint --setup' to log in again.");
+  }
 
   const tempClient = sdk.createClient({ baseUrl: MATRIX_HOMESERVER });
   const response = await tempClient.login("m.login.password", {
@@ -121,21 +244,71 @@ export async function getClient() {
     password: MATRIX_PASS,
   });
 
-  const newSession = {
-    accessToken: response.access_token,
-    userId: response.user_id,
-  };
-  saveSession(newSession);
+  const newSession = await saveLogin(response, TOKEN_STORAGE);
 
   const client = sdk.createClient({
     baseUrl: MATRIX_HOMESERVER,
     accessToken: response.access_token,
     userId: response.user_id,
+    deviceId: response.device_id,
   });
 
   return { client, session: newSession };
 }
 
+/**
+ * Revoke the access token on the server and forget it locally (jackpoint logout).
+ * The device's encryption keys are deleted too, since the device no longer exists.
+ * @returns {Promise<boolean>} False if there was no session to log out of
+ */
+export async function logout() {
+  const session = loadSession();
+  let accessToken = null;
+  try {
+    accessToken = await loadToken(session);
+  } catch (e) {
+    // Can't unlock the token (e.g. wrong passphrase): still forget it locally
+    if (DEBUG) {
+      console.error("[Bridge] Failed to read token:", e.message);
+    }
+  }
+
+  if (accessToken) {
+    const client = sdk.createClient({
+      baseUrl: MATRIX_HOMESERVER,
+      accessToken,
+      userId: session.userId,
+      deviceId: session.deviceId,
+    });
+    try {
+      await client.logout(true);
+    } catch (e) {
+      // M_UNKNOWN_TOKEN: already revoked
+      if (e.errcode !== "M_UNKNOWN_TOKEN") throw e;
+    }
+  }
+
+  if (session.deviceId) {
+    deleteCryptoStore(session.deviceId);
+  }
+  await updateSession((s) => {
+    clearToken(s);
+    delete s.deviceId;
+  });
+  return !!(accessToken || session.userId);
+}
+
+// Wait until a freshly created room shows up in the synced client's store
+async function waitForRoom(client, roomId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!client.getRoom(roomId)?.hasEncryptionStateEvent()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for encrypted room ${roomId}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+}
+
 // Create a new room for this session
 async function createSessionRoom(client, recipientId, sessionName) {
   const timestamp = new Date().toISOString().slice(0, 16).replace("T", " ");
@@ -143,12 +316,29 @@ async function createSessionRoom(client, recipientId, sessionName) {
     ? `Claude: ${sessionName}`
     : `Claude ${timestamp}`;
 
-  const room = await client.createRoom({
+  const options = {
     preset: "trusted_private_chat",
     invite: [recipientId],
     is_direct: true,
     name: roomName,
-  });
+  };
+
+  if (ENCRYPTION) {
+    options.initial_state = [
+      {
+        type: "m.room.encryption",
+        state_key: "",
+        content: { algorithm: "m.megolm.v1.aes-sha2" },
+      },
+    ];
+  }
+
+  const room = await client.createRoom(options);
+
+  if (ENCRYPTION) {
+    // Never send before the client knows the room is encrypted
+    await waitForRoom(client, room.room_id);
+  }
 
   return room.room_id;
 }
@@ -156,22 +346,19 @@ async function createSessionRoom(client, recipientId, sessionName) {
 // Get or create room for current session (persisted by session key)
 async function getSessionRoom(client, recipientId, sessionKey, sessionName) {
   const session = loadSession();
-
-  // Initialize rooms map if it doesn't exist
-  if (!session.rooms) {
-    session.rooms = {};
-  }
+  const rooms = session.rooms || {};
 
   // If we have a session key, try to find existing room
-  if (sessionKey && session.rooms[sessionKey]) {
-    const existingRoomId = session.rooms[sessionKey];
+  if (sessionKey && rooms[sessionKey]) {
+    const existingRoomId = rooms[sessionKey];
     // Verify we're still in the room
     try {
       const { joined_rooms } = await client.getJoinedRooms();
-      if (joined_rooms.includes(existingRoomId)) {
-        // Update currentRoom for typing indicator
-        session.currentRoom = existingRoomId;
-        saveSession(session);
+      // With encryption on, don't keep using a room created before it was enabled
+      const usable = !ENCRYPTION || client.getRoom(existingRoomId)?.hasEncryptionStateEvent();
+      if (joined_rooms.includes(existingRoomId) && usable) {
+        // A new session in this pane takes over a room an earlier one closed
+        await reopenRoom(existingRoomId);
         return { roomId: existingRoomId, isExisting: true };
       }
     } catch (e) {
@@ -182,39 +369,91 @@ async function getSessionRoom(client, recipientId, sessionKey, sessionName) {
   // Create new room
   const roomId = await createSessionRoom(client, recipientId, sessionName);
 
-  // Store in rooms map if we have a session key
-  if (sessionKey) {
-    session.rooms[sessionKey] = roomId;
+  // Store in rooms map if we have a session key (re-read under the lock, so
+  // mappings other wrappers saved meanwhile aren't lost). Room creation can't
+  // run under the lock, so another hook for the same key may have won the race.
+  let mappedRoomId = roomId;
+  await updateSession((s) => {
+    const current = sessionKey ? s.rooms?.[sessionKey] : null;
+    if (current && current !== rooms[sessionKey]) {
+      mappedRoomId = current;
+    } else if (sessionKey) {
+      s.rooms = { ...s.rooms, [sessionKey]: roomId };
+    }
+    // No longer used: the typing indicator follows the session's own room (room-status.js)
+    delete s.currentRoom;
+  });
+
+  if (mappedRoomId !== roomId) {
+    if (DEBUG) {
+      console.log(`[Bridge] Another hook created a room for ${sessionKey}, leaving ${roomId}`);
+    }
+    try {
+      await client.leave(roomId);
+      await client.forget(roomId);
+    } catch (e) {
+      // Best effort: the duplicate room is just left behind
+    }
+    return { roomId: mappedRoomId, isExisting: true };
   }
-  session.currentRoom = roomId;
-  saveSession(session);
 
   return { roomId, isExisting: false };
 }
 
-// Send a message to Matrix
+/**
+ * Resolve escalateTo to a room: room IDs are used as they are, aliases are looked up,
+ * and users get a direct chat that is kept in session.escalationRooms
+ * @param {MatrixClient} client
+ * @param {string} target - "!room:server", "#alias:server" or "@user:server"
+ * @returns {Promise<string>} Room ID
+ */
+export async function getEscalationRoom(client, target) {
+  if (target.startsWith("!")) return target;
+  if (target.startsWith("#")) {
+    const { room_id } = await client.getRoomIdForAlias(target);
+    return room_id;
+  }
+
+  const existing = loadSession().escalationRooms?.[target];
+  if (existing) {
+    const { joined_rooms } = await client.getJoinedRooms();
+    if (joined_rooms.includes(existing)) return existing;
+  }
+
+  const roomId = await createSessionRoom(client, target, "escalations");
+  await updateSession((s) => {
+    s.escalationRooms = { ...s.escalationRooms, [target]: roomId };
+  });
+  return roomId;
+}
+
+// Send a message to Matrix (as an m.notice when notice is set)
 export async function sendNotification(
   message,
   recipient = MATRIX_RECIPIENT,
   sessionKey = null,
-  roomName = null
+  roomName = null,
+  threadId = null,
+  notice = false
 ) {
   const { client } = await getClient();
   const { roomId, isExisting } = await getSessionRoom(client, recipient, sessionKey, roomName);
-  await client.sendTextMessage(roomId, message);
-  return { roomId, isExisting };
+  const { event_id: eventId } = await sendLongMarkdown(client, roomId, message, { threadId, notice });
+  return { roomId, isExisting, eventId };
 }
 
-// Set typing indicator in current room
-export async function setTyping(isTyping = true) {
+// Annotate an event with reactions so the recipient can answer with a single tap
+export async function addReactions(roomId, eventId, keys) {
   const { client } = await getClient();
-  const session = loadSession();
-
-  if (!session.currentRoom) {
-    return; // No room yet, skip silently
+  for (const key of keys) {
+    await client.sendEvent(roomId, "m.reaction", {
+      "m.relates_to": {
+        rel_type: "m.annotation",
+        event_id: eventId,
+        key,
+      },
+    });
   }
-
-  await client.sendTyping(session.currentRoom, isTyping, isTyping ? 30000 : undefined);
 }
 
 // Send formatted notification with context
@@ -228,46 +467,60 @@ export async function sendClaudeNotification({
   cwd,
   sessionKey,
   sessionContext, // { hostname, tmuxPane, cwd, gitRoot }
+  threadId = null, // Thread root to post into (threads mode)
+  announce = true, // session_start: post the banner (off in quiet mode)
 }) {
   let text = "";
   let roomName = null;
-  let typing = null; // null = don't change, true = start, false = stop
 
   switch (type) {
     case "session_start":
       // Use sessionKey directly as room name (it's the internal identifier)
       roomName = sessionKey || "claude-session";
       // Text will be set after we know if room is new or existing
-      typing = true; // Agent is starting work
       break;
 
+    case "turn_start": {
+      // Root of the thread that collects this turn's notifications
+      const prompt = (message || "").trim().split("\n")[0];
+      const excerpt = prompt.length > 200 ? `${prompt.slice(0, 200)}…` : prompt;
+      text = `💬 **New turn:** ${excerpt || "(no prompt text)"}`;
+      break;
+    }
+
     case "question":
       text = `❓ **Claude is asking:**\n\n`;
       if (questions && questions.length > 0) {
-        for (const q of questions) {
-          text += `**${q.header || "Question"}:** ${q.question}\n`;
-          if (q.options) {
-            text += "Options:\n";
-            q.options.forEach((opt, i) => {
-              text += `  ${i + 1}. ${opt.label} - ${opt.description}\n`;
-            });
-          }
-          text += "\n";
-        }
+        // Each question follows as its own poll
+        text += questions.length > 1
+          ? `Vote in the ${questions.length} polls below. Answers are submitted once all are answered.`
+          : "Vote in the poll below.";
       } else {
         text += message || "(no question text)";
       }
-      typing = false; // Waiting for user input
       break;
 
     case "stop":
       text = message || "Waiting for your input.";
-      typing = false; // Waiting for user input
+      break;
+
+    case "idle":
+      text = `⏳ ${message || "Claude is waiting for your input."}`;
       break;
 
     case "tool_use":
-      text = `🔧 **Tool:** ${toolName}\n${message || ""}`;
-      typing = true; // Agent is working
+      // Without a tool name, message is a batch of activity feed lines
+      text = toolName ? `🔧 **Tool:** ${toolName}\n${message || ""}` : message || "";
+      break;
+
+    case "compact":
+      // message is the trigger: "auto" or "manual"
+      text = `🗜️ **Compacting conversation**${message === "auto" ? " (context is full)" : ""}`;
+      break;
+
+    case "session_end":
+      // Only sent for /clear: the program keeps running with a fresh conversation
+      text = "🧹 **Conversation cleared**, Claude starts over with an empty context";
       break;
 
     case "permission":
@@ -292,7 +545,7 @@ export async function sendClaudeNotification({
         // Fallback to message if no tool input (from Notification event)
         text += message;
       }
-      typing = false; // Waiting for permission
+      text += "\n\nReact ✅ to allow, 🔁 to always allow, ❌ to deny.";
       break;
 
     default:
@@ -307,6 +560,7 @@ export async function sendClaudeNotification({
     // Format the session start/continue message with context
     const startCtx = sessionContext || {};
     const contextLines = [
+      PROFILE !== DEFAULT_PROFILE ? `Profile: \`${PROFILE}\`` : null,
       startCtx.hostname ? `Host: \`${startCtx.hostname}\`` : null,
       startCtx.tmuxPane ? `Tmux: \`${startCtx.tmuxPane}\`` : null,
       startCtx.cwd ? `Dir: \`${startCtx.cwd}\`` : null,
@@ -319,21 +573,48 @@ export async function sendClaudeNotification({
       text = `🚀 **Claude Code Session Started**\n${contextLines.join("\n")}`;
     }
 
-    await client.sendTextMessage(roomId, text);
-
-    // Update typing indicator
-    if (typing !== null) {
-      await setTyping(typing);
+    const action = announce ? notificationFilter.check({ type, sessionKey, cwd }) : "drop";
+    if (action !== "drop") {
+      await sendMarkdown(client, roomId, text, null, action === "silent");
     }
 
     return { roomId, isExisting };
   }
 
-  const result = await sendNotification(text, undefined, sessionKey, roomName);
+  const action = notificationFilter.check({ type, sessionKey, cwd });
+  if (action === "drop") {
+    if (DEBUG) {
+      console.log(`[Bridge] Notification dropped by rules: ${type}`);
+    }
+    // Nothing to answer or thread onto, but callers still need the room
+    const { client } = await getClient();
+    const { roomId, isExisting } = await getSessionRoom(client, MATRIX_RECIPIENT, sessionKey, roomName);
+    return { roomId, isExisting, eventId: null };
+  }
+
+  const result = await sendNotification(text, undefined, sessionKey, roomName, threadId, action === "silent");
+
+  // Send each question as a poll so it can be answered with a vote
+  if (type === "question" && questions && questions.length > 0) {
+    const { client } = await getClient();
+    // Polls go into the same thread, which the question message starts if there is none
+    const pollThreadId = threadId || (THREADS ? result.eventId : null);
+    result.pollEventIds = [];
+    for (const q of questions) {
+      const { event_id } = await client.sendEvent(result.roomId, pollThreadId, POLL_START_TYPE, buildPollContent(q));
+      result.pollEventIds.push(event_id);
+    }
+  }
 
-  // Update typing indicator after sending (so room exists)
-  if (typing !== null) {
-    await setTyping(typing);
+  // Offer the answer reactions as tap targets on the prompt itself
+  if (type === "permission" && result.eventId) {
+    try {
+      await addReactions(result.roomId, result.eventId, PERMISSION_REACTION_HINTS);
+    } catch (e) {
+      if (DEBUG) {
+        console.error("[Bridge] Failed to add reaction hints:", e.message);
+      }
+    }
   }
 
   return result;
@@ -341,7 +622,7 @@ export async function sendClaudeNotification({
 
 // CLI usage
 async function main() {
-  const args = process.argv.slice(2);
+  const args = withoutProfileArgs(process.argv.slice(2));
 
   if (args.length === 0) {
     // Read JSON from stdin (for hook usage)
@@ -21,16 +21,47 @@ if (!Promise.withResolvers) {
 // Silence SDK logging - must be imported first
 import "./lib/silence-sdk.js";
 
-import sdk from "matrix-js-sdk";
-import { execSync } from "child_process";
+import { execSync, execFileSync } from "child_process";
+import { mkdirSync, mkdtempSync, writeFileSync, copyFileSync, existsSync, rmSync, appendFileSync } from "fs";
+import { join, basename, relative, resolve, isAbsolute } from "path";
+import { tmpdir } from "os";
 import { fileURLToPath } from "url";
-import { getConfig, loadSession } from "./lib/config.js";
+import { getConfig, loadSession, CONFIG_DIR } from "./lib/config.js";
+import { sendMarkdown, sendLongMarkdown } from "./lib/format.js";
+import { sendFile, downloadAttachment } from "./lib/attachments.js";
+import { readTranscript, transcriptToMarkdown } from "./lib/transcript.js";
+import { getClient, closeClient, getGitStatus, getGitRoot, getEscalationRoom } from "./matrix-bridge.js";
+import { PendingPrompts, getPermissionAnswer } from "./lib/pending-prompts.js";
+import { getClosedRoom, claimClosedRoomReply } from "./lib/rooms.js";
+import { formatDuration } from "./lib/session-state.js";
+import { isPollResponse, parsePollResponse, buildQuestionKeys, OTHER_ANSWER_ID } from "./lib/polls.js";
+import { buildReminder, buildEscalation } from "./lib/escalation.js";
+import { isQuietTime, msUntilQuietEnds } from "./lib/notification-rules.js";
 
 const DEBUG = process.env.MATRIX_DEBUG === "1";
 
-// Get config
-const config = getConfig();
-const MATRIX_HOMESERVER = config.homeserver;
+// Prefix for Jackpoint's own commands; other slash commands go to the program
+const COMMAND_PREFIX = getConfig().commandPrefix;
+const STRICT_COMMANDS = getConfig().strictCommands;
+
+// Refused input is recorded here, since the terminal belongs to the wrapped program
+const REFUSED_LOG = join(CONFIG_DIR, "refused.log");
+
+// Join rules under which nobody can enter the room without being let in
+const PRIVATE_JOIN_RULES = ["invite", "knock", "private"];
+
+// Append a line to the refused-input log
+function logRefusal(roomId, sender, reason) {
+  const line = `${new Date().toISOString()} ${roomId} ${sender}: ${reason}\n`;
+  try {
+    appendFileSync(REFUSED_LOG, line, { mode: 0o600 });
+  } catch (e) {
+    // Logging must never break message handling
+  }
+  if (DEBUG) {
+    console.log(`[Listener] Refused input from ${sender} in ${roomId}: ${reason}`);
+  }
+}
 
 // Build reverse mapping: roomId -> sessionKey
 function getRoomToSessionMap() {
@@ -68,6 +99,15 @@ function escapeForTmux(message) {
     .replace(/`/g, "\\`");
 }
 
+// Remove the quoted "> <@user> ..." fallback some clients prepend to replies
+function stripReplyFallback(body) {
+  const lines = (body || "").split("\n");
+  if (!lines[0]?.startsWith("> ")) return body;
+  const firstReal = lines.findIndex((line) => !line.startsWith(">"));
+  if (firstReal === -1) return body;
+  return lines.slice(firstReal).join("\n").replace(/^\n+/, "");
+}
+
 // Send message to tmux pane
 function sendToTmux(target, message) {
   try {
@@ -89,8 +129,93 @@ function sendToTmux(target, message) {
   }
 }
 
+// Send named keys (e.g. "Escape", "C-c") to tmux pane, without a trailing Enter
+function sendKeysToTmux(target, keys) {
+  try {
+    execSync(`tmux send-keys -t "${target}" ${keys.join(" ")}`, {
+      stdio: ["pipe", "pipe", "pipe"],
+      shell: true,
+    });
+    return true;
+  } catch (e) {
+    console.error(`[Listener] Failed to send keys to tmux ${target}:`, e.message);
+    return false;
+  }
+}
+
+// Keys allowed in /keys, mapped to tmux key names
+const KEY_ALIASES = {
+  esc: "Escape",
+  escape: "Escape",
+  enter: "C-m",
+  return: "C-m",
+  tab: "Tab",
+  "shift-tab": "BTab",
+  "s-tab": "BTab",
+  btab: "BTab",
+  up: "Up",
+  down: "Down",
+  left: "Left",
+  right: "Right",
+  space: "Space",
+  backspace: "BSpace",
+  bs: "BSpace",
+  home: "Home",
+  end: "End",
+  pgup: "PPage",
+  pgdn: "NPage",
+  "c-c": "C-c",
+  "c-d": "C-d",
+  "c-l": "C-l",
+  "c-o": "C-o",
+  "c-r": "C-r",
+  "c-t": "C-t",
+  "c-u": "C-u",
+  y: "y",
+  n: "n",
+  ...Object.fromEntries("0123456789".split("").map((d) => [d, d])),
+};
+
+// Upper bound on keys sent by a single /keys command
+const MAX_KEYS = 50;
+
+// Parse /keys arguments like ["down*2", "enter"] into tmux key names
+// Returns { keys } or { error }
+function parseKeys(args) {
+  const keys = [];
+  for (const arg of args) {
+    const match = arg.toLowerCase().match(/^(.+?)(?:\*(\d+))?$/);
+    const key = KEY_ALIASES[match[1]];
+    if (!key) {
+      return { error: `Unknown key: \`${arg}\`` };
+    }
+    const count = match[2] ? parseInt(match[2], 10) : 1;
+    if (keys.length + count > MAX_KEYS) {
+      return { error: `Too many keys (max ${MAX_KEYS}).` };
+    }
+    keys.push(...Array(count).fill(key));
+  }
+  if (keys.length === 0) {
+    return { error: `No keys given. Example: \`${COMMAND_PREFIX}keys down down enter\`` };
+  }
+  return { keys };
+}
+
+// Keystrokes that pick an option in Claude Code's permission dialog
+const PERMISSION_KEYS = {
+  allow: ["1"],
+  always: ["2"],
+  deny: ["Escape"],
+};
+
+const PERMISSION_CONFIRMATIONS = {
+  allow: "✅ Allowed.",
+  always: "🔁 Allowed, and won't ask again.",
+  deny: "❌ Denied.",
+};
+
 // Capture last N lines from tmux pane
-function captureTmuxLines(target, lines = 30) {
+export function captureTmuxLines(target, lines = 30) {
   try {
     // capture-pane -p prints to stdout, -S specifies start line (negative = from end)
     const output = execSync(`tmux capture-pane -t "${target}" -p -S -${lines}`, {
@@ -107,37 +232,138 @@ function captureTmuxLines(target, lines = 30) {
   }
 }
 
+// Parse diff command arguments: [--staged] [--ref <ref>] [path]
+// Returns { staged, ref, path } or { error }
+function parseDiffArgs(args) {
+  const options = { staged: false, ref: null, path: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--staged" || arg === "--cached") {
+      options.staged = true;
+    } else if (arg === "--ref") {
+      options.ref = args[++i];
+      // Refs are passed to git as arguments, so never let one look like an option
+      if (!options.ref || options.ref.startsWith("-")) {
+        return { error: "`--ref` needs a ref, e.g. `--ref main` or `--ref HEAD~3`." };
+      }
+    } else if (arg.startsWith("-")) {
+      return { error: `Unknown option: \`${arg}\`` };
+    } else {
+      options.path = arg;
+    }
+  }
+  return options;
+}
+
+// Run git diff in a repository; returns { stat, diff } or null on failure
+// path is relative to the repository root. Untracked files are included as new files
+// (they're what Claude just created), through a throwaway copy of the index so the
+// real one is left alone.
+function getGitDiff(root, { staged, ref, path }) {
+  const args = ["--no-color"];
+  if (staged) args.push("--staged");
+  if (ref) args.push(ref);
+  args.push("--");
+  args.push(path || ".");
+
+  const tmpDir = mkdtempSync(join(tmpdir(), "jackpoint-diff-"));
+  try {
+    const options = { encoding: "utf-8", cwd: root, stdio: ["pipe", "pipe", "pipe"], maxBuffer: 64 * 1024 * 1024 };
+    if (!staged) {
+      const index = resolve(root, execFileSync("git", ["rev-parse", "--git-path", "index"], options).trim());
+      const tmpIndex = join(tmpDir, "index");
+      if (existsSync(index)) copyFileSync(index, tmpIndex);
+      options.env = { ...process.env, GIT_INDEX_FILE: tmpIndex };
+      // Intent-to-add: untracked (and not ignored) files show up as added in the diff
+      execFileSync("git", ["add", "--intent-to-add", "--", path || "."], options);
+    }
+    const stat = execFileSync("git", ["diff", "--stat", ...args], options).trimEnd();
+    const diff = execFileSync("git", ["diff", ...args], options);
+    return { stat, diff };
+  } catch (e) {
+    if (DEBUG) {
+      console.error(`[Listener] git diff failed in ${root}:`, e.message);
+    }
+    return null;
+  } finally {
+    rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Jackpoint's own commands, handled by handleCommand
+const COMMANDS = new Set(["lines", "keys", "status", "diff", "transcript", "help"]);
+
 // Parse command from message (returns { command, args } or null)
+// Anything else, including Claude's own /commands and "!" shell commands like
+// "!git status", is passed through as input. With strictCommands every message
+// starting with the prefix is a command, and unknown ones are answered instead.
 function parseCommand(message) {
   const trimmed = message.trim();
-  if (!trimmed.startsWith("/")) return null;
+  if (!trimmed.startsWith(COMMAND_PREFIX)) return null;
+
+  const parts = trimmed.slice(COMMAND_PREFIX.length).split(/\s+/);
+  const command = parts[0].toLowerCase();
+  if (!STRICT_COMMANDS && !COMMANDS.has(command)) return null;
 
-  const parts = trimmed.slice(1).split(/\s+/);
   return {
-    command: parts[0].toLowerCase(),
+    command,
     args: parts.slice(1),
   };
 }
 
+// Message types that carry a file to hand to Claude
+const ATTACHMENT_MSGTYPES = ["m.image", "m.file"];
+
+// Make a received file name safe to use as a path component and to type into a shell-like prompt
+function sanitizeFileName(name) {
+  const clean = basename(name || "").replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^\.+/, "");
+  return clean.slice(-100) || "attachment";
+}
+
 export class MatrixListener {
   /**
    * @param {string|null} myTmuxTarget - If provided, only inject messages to this tmux target.
    *                                      This prevents duplicate injection when multiple wrappers run.
+   * @param {object} [options]
+   * @param {SessionState} [options.sessionState] - State of the wrapped program, for the status command
+   * @param {string} [options.attachmentDir] - Where to save images and files sent from Matrix;
+   *                                           removed when the listener stops
    */
-  constructor(myTmuxTarget = null) {
+  constructor(myTmuxTarget = null, options = {}) {
     this.client = null;
     this.syncReady = false;
     this.roomToSession = {};
     this.processedEvents = new Set(); // Deduplicate events
     this.myTmuxTarget = myTmuxTarget; // Only handle messages for this target
+    this.pendingPrompts = new PendingPrompts(); // Prompts answerable by reaction
+    this.sessionState = options.sessionState || null;
+    this.attachmentDir = options.attachmentDir || null;
+
+    const config = getConfig();
+    this.allowedSenders = new Set(config.allowedSenders);
+    this.checkRoomMembers = config.checkRoomMembers;
+    this.warned = new Set(); // Room warnings already posted, so each is sent once
+
+    // Follow-ups for unanswered prompts: eventId -> { roomId, timers }
+    this.escalation = {
+      recipient: config.recipient,
+      escalateAfter: config.escalateAfter,
+      escalateTo: config.escalateTo,
+      escalateToAfter: config.escalateToAfter,
+      quietHours: config.quietHours,
+    };
+    this.escalations = new Map();
   }
 
   async start() {
-    const session = loadSession();
-
-    if (!session.accessToken || !session.userId) {
+    // Share the bridge's client: with encryption on, only one client may own the crypto store
+    try {
+      const { client, session } = await getClient();
+      this.client = client;
+      this.session = session;
+    } catch (e) {
       if (DEBUG) {
-        console.log("[Listener] No Matrix session found");
+        console.log("[Listener] No Matrix session:", e.message);
       }
       return false;
     }
@@ -148,88 +374,164 @@ export class MatrixListener {
       console.log("[Listener] Watching rooms:", Object.keys(this.roomToSession));
     }
 
-    // Create client with sync support
-    this.client = sdk.createClient({
-      baseUrl: MATRIX_HOMESERVER,
-      accessToken: session.accessToken,
-      userId: session.userId,
-    });
-    this.session = session;
-
     // Listen for new messages
-    this.client.on("Room.timeline", (event, room, toStartOfTimeline) => {
-      // Ignore historical messages during initial sync
-      if (toStartOfTimeline) return;
-      if (!this.syncReady) return;
+    this.client.on("Room.timeline", async (event, room, toStartOfTimeline) => {
+      // Nothing may reject out of this handler: an unhandled rejection ends the process
+      try {
+        // Ignore historical messages during initial sync
+        if (toStartOfTimeline) return;
+        if (!this.syncReady) return;
 
-      // Only handle text messages
-      if (event.getType() !== "m.room.message") return;
+        // Decrypt messages in encrypted rooms before looking at their type
+        if (event.isEncrypted()) {
+          await this.client.decryptEventIfNeeded(event);
+          if (event.isDecryptionFailure()) {
+            if (DEBUG) {
+              console.error(`[Listener] Failed to decrypt event ${event.getId()} in ${room.roomId}`);
+            }
+            return;
+          }
+        }
 
-      const content = event.getContent();
-      if (content.msgtype !== "m.text") return;
+        // Only handle text messages, attachments, reactions and poll votes
+        const eventType = event.getType();
+        const isVote = isPollResponse(eventType);
+        if (eventType !== "m.room.message" && eventType !== "m.reaction" && !isVote) return;
 
-      // Ignore our own messages
-      if (event.getSender() === this.session.userId) return;
+        const content = event.getContent();
+        const isAttachment = ATTACHMENT_MSGTYPES.includes(content.msgtype);
+        if (eventType === "m.room.message" && content.msgtype !== "m.text" && !isAttachment) return;
 
-      // Deduplicate - skip if we've already processed this event
-      const eventId = event.getId();
-      if (this.processedEvents.has(eventId)) {
-        if (DEBUG) {
-          console.log(`[Listener] Skipping duplicate event: ${eventId}`);
+        // Ignore our own messages (including the reaction hints we add)
+        if (event.getSender() === this.session.userId) return;
+
+        // Deduplicate - skip if we've already processed this event
+        const eventId = event.getId();
+        if (this.processedEvents.has(eventId)) {
+          if (DEBUG) {
+            console.log(`[Listener] Skipping duplicate event: ${eventId}`);
+          }
+          return;
         }
-        return;
-      }
-      this.processedEvents.add(eventId);
+        this.processedEvents.add(eventId);
 
-      // Limit set size to prevent memory leak
-      if (this.processedEvents.size > 1000) {
-        const firstId = this.processedEvents.values().next().value;
-        this.processedEvents.delete(firstId);
-      }
+        // Limit set size to prevent memory leak
+        if (this.processedEvents.size > 1000) {
+          const firstId = this.processedEvents.values().next().value;
+          this.processedEvents.delete(firstId);
+        }
 
-      const roomId = room.roomId;
-      const message = content.body;
+        const roomId = room.roomId;
 
-      if (DEBUG) {
-        console.log(`[Listener] Message in ${roomId}: ${message.substring(0, 50)}...`);
-      }
+        // Nothing reaches the terminal, commands or prompts unless the sender (and room) are trusted
+        if (!this.isInputAllowed(event.getSender(), room)) {
+          return;
+        }
 
-      // Look up tmux target for this room
-      const sessionKey = this.roomToSession[roomId];
-      if (!sessionKey) {
-        if (DEBUG) {
-          console.log(`[Listener] Room ${roomId} not mapped to a session`);
+        if (eventType === "m.reaction") {
+          this.handleReaction(content, roomId, event.getSender()).catch((e) => {
+            if (DEBUG) {
+              console.error("[Listener] Failed to handle reaction:", e.message);
+            }
+          });
+          return;
         }
-        return;
-      }
 
-      const tmuxTarget = getTmuxTarget(sessionKey);
-      if (!tmuxTarget) {
-        if (DEBUG) {
-          console.log(`[Listener] Session ${sessionKey} has no tmux target`);
+        if (isVote) {
+          this.handlePollResponse(content, roomId).catch((e) => {
+            if (DEBUG) {
+              console.error("[Listener] Failed to handle poll vote:", e.message);
+            }
+          });
+          return;
         }
-        return;
-      }
 
-      // If we have a specific target filter, only inject messages for that target
-      if (this.myTmuxTarget && tmuxTarget !== this.myTmuxTarget) {
+        // Thread replies are routed like any other message in the room
+        const threadId = event.threadRootId || null;
+        const isReply = !!content["m.relates_to"]?.["m.in_reply_to"];
+        const message = isReply ? stripReplyFallback(content.body) : content.body;
+
         if (DEBUG) {
-          console.log(`[Listener] Skipping message for ${tmuxTarget} (not my target: ${this.myTmuxTarget})`);
+          console.log(`[Listener] Message in ${roomId}: ${message.substring(0, 50)}...`);
         }
-        return;
-      }
 
-      // Check for commands
-      const cmd = parseCommand(message);
-      if (cmd) {
-        this.handleCommand(cmd, roomId, tmuxTarget);
-        return;
-      }
+        // Look up tmux target for this room
+        const sessionKey = this.roomToSession[roomId];
+        if (!sessionKey) {
+          if (DEBUG) {
+            console.log(`[Listener] Room ${roomId} not mapped to a session`);
+          }
+          return;
+        }
 
-      if (DEBUG) {
-        console.log(`[Listener] Sending to tmux target: ${tmuxTarget}`);
+        const tmuxTarget = getTmuxTarget(sessionKey);
+        if (!tmuxTarget) {
+          if (DEBUG) {
+            console.log(`[Listener] Session ${sessionKey} has no tmux target`);
+          }
+          return;
+        }
+
+        // The session in this room has ended: whatever runs in the pane now isn't Claude
+        const closed = getClosedRoom(roomId);
+        if (closed) {
+          if (await claimClosedRoomReply(roomId, eventId)) {
+            const ago = formatDuration(Date.now() - closed.at);
+            sendMarkdown(
+              this.client,
+              roomId,
+              `⏹️ This session ended ${ago} ago (${closed.reason}). Your message was not delivered. Start a new session in the pane to continue.`,
+              threadId
+            ).catch(() => {});
+          }
+          return;
+        }
+
+        // If we have a specific target filter, only inject messages for that target
+        if (this.myTmuxTarget && tmuxTarget !== this.myTmuxTarget) {
+          if (DEBUG) {
+            console.log(`[Listener] Skipping message for ${tmuxTarget} (not my target: ${this.myTmuxTarget})`);
+          }
+          return;
+        }
+
+        // Someone is answering here; leave any unanswered prompt to them
+        this.cancelEscalations(roomId);
+
+        if (isAttachment) {
+          this.handleAttachment(content, roomId, tmuxTarget, threadId).catch((e) => {
+            if (DEBUG) {
+              console.error("[Listener] Failed to handle attachment:", e.message);
+            }
+          });
+          return;
+        }
+
+        // A question is waiting for its "Other" free-text answer
+        if (this.handleOtherAnswer(roomId, message)) {
+          return;
+        }
+
+        // Check for commands
+        const cmd = parseCommand(message);
+        if (cmd) {
+          this.handleCommand(cmd, roomId, tmuxTarget, threadId).catch((e) => {
+            if (DEBUG) {
+              console.error(`[Listener] Command ${cmd.command} failed:`, e.message);
+            }
+          });
+          return;
+        }
+
+        if (DEBUG) {
+          console.log(`[Listener] Sending to tmux target: ${tmuxTarget}`);
+        }
+        sendToTmux(tmuxTarget, message);
+      } catch (e) {
+        if (DEBUG) {
+          console.error("[Listener] Failed to handle event:", e.message);
+        }
       }
-      sendToTmux(tmuxTarget, message);
     });
 
     // Mark ready after initial sync
@@ -242,8 +544,13 @@ export class MatrixListener {
       }
     });
 
-    // Start syncing
-    await this.client.startClient({ initialSyncLimit: 0 });
+    // Start syncing (an encrypted client is already synced by the bridge)
+    if (this.client.getSyncState() === "PREPARED") {
+      this.syncReady = true;
+    }
+    if (!this.client.clientRunning) {
+      await this.client.startClient({ initialSyncLimit: 0 });
+    }
     if (DEBUG) {
       console.log("[Listener] Matrix client started");
     }
@@ -251,10 +558,417 @@ export class MatrixListener {
     return true;
   }
 
-  // Handle slash commands
-  async handleCommand(cmd, roomId, tmuxTarget) {
+  /**
+   * Remember a prompt that can be answered by reacting to its Matrix event
+   * @param {string} eventId - Event ID of the notification we sent
+   * @param {object} prompt - { kind, roomId, sessionKey, tmuxTarget }
+   */
+  trackPrompt(eventId, prompt) {
+    this.pendingPrompts.add(eventId, prompt);
     if (DEBUG) {
-      console.log(`[Listener] Command: /${cmd.command}`, cmd.args);
+      console.log(`[Listener] Tracking ${prompt.kind} prompt: ${eventId}`);
+    }
+    // A question's polls share one answer, so only the first one is chased
+    if (!prompt.state || prompt.state.pollEventIds[0] === eventId) {
+      this.scheduleEscalation(eventId);
+    }
+  }
+
+  /**
+   * A tool has run, so the permission dialogs for it were answered in the terminal
+   * @param {string} toolName
+   * @returns {boolean} True if permission prompts for other tools are still open
+   */
+  resolveToolPrompts(toolName) {
+    // A blocking hook's tool can't run before the hook returns, and prompts for
+    // other tools are still on screen
+    const dropped = this.pendingPrompts.clear(
+      (prompt) => prompt.kind !== "permission" || !!prompt.onAnswer || (!!prompt.toolName && prompt.toolName !== toolName)
+    );
+    for (const prompt of dropped) {
+      this.cancelEscalation(prompt.eventId);
+    }
+    return [...this.pendingPrompts.prompts.values()].some((prompt) => prompt.kind === "permission");
+  }
+
+  // Stop tracking a prompt that has been answered or given up on
+  takePrompt(eventId) {
+    this.cancelEscalation(eventId);
+    return this.pendingPrompts.take(eventId);
+  }
+
+  // Ping the recipient, then tell escalateTo, for as long as the prompt stays pending
+  scheduleEscalation(eventId) {
+    const { recipient, escalateAfter, escalateTo, escalateToAfter, quietHours } = this.escalation;
+
+    const steps = [];
+    if (escalateAfter > 0 && recipient) {
+      steps.push({
+        minutes: escalateAfter,
+        send: (prompt, minutes) =>
+          this.client.sendMessage(prompt.roomId, prompt.threadId || null, buildReminder(prompt, recipient, minutes)),
+      });
+    }
+    if (escalateTo) {
+      steps.push({
+        minutes: escalateToAfter,
+        send: async (prompt, minutes) => {
+          const roomId = await getEscalationRoom(this.client, escalateTo);
+          await this.client.sendMessage(roomId, null, buildEscalation(prompt, escalateTo, minutes));
+        },
+      });
+    }
+    if (steps.length === 0) return;
+
+    const escalation = { roomId: this.pendingPrompts.get(eventId).roomId, timers: [] };
+    this.escalations.set(eventId, escalation);
+
+    const fire = async (send) => {
+      const prompt = this.pendingPrompts.get(eventId);
+      if (!prompt) return; // Answered meanwhile
+      // Quiet hours: hold the follow-up until they end instead of losing it
+      if (isQuietTime(quietHours)) {
+        escalation.timers.push(setTimeout(() => fire(send), msUntilQuietEnds(quietHours)));
+        return;
+      }
+      const minutes = Math.round((Date.now() - prompt.createdAt) / 60000);
+      if (DEBUG) {
+        console.log(`[Listener] Escalating ${prompt.kind} prompt after ${minutes} min: ${eventId}`);
+      }
+      try {
+        await send(prompt, minutes);
+      } catch (e) {
+        if (DEBUG) {
+          console.error("[Listener] Escalation failed:", e.message);
+        }
+      }
+    };
+
+    for (const { minutes, send } of steps) {
+      escalation.timers.push(setTimeout(() => fire(send), minutes * 60 * 1000));
+    }
+  }
+
+  cancelEscalation(eventId) {
+    const escalation = this.escalations.get(eventId);
+    if (!escalation) return;
+    for (const timer of escalation.timers) {
+      clearTimeout(timer);
+    }
+    this.escalations.delete(eventId);
+  }
+
+  // The recipient is active in the room, so there's no need to chase them
+  cancelEscalations(roomId = null) {
+    for (const [eventId, escalation] of this.escalations) {
+      if (!roomId || escalation.roomId === roomId) {
+        this.cancelEscalation(eventId);
+      }
+    }
+  }
+
+  /**
+   * Wait for a reaction that answers a prompt, instead of typing the answer into tmux
+   * @param {string} eventId - Event ID of the notification we sent
+   * @param {object} prompt - { kind, roomId, sessionKey, tmuxTarget }
+   * @param {number} timeoutMs - How long to wait before giving up
+   * @returns {Promise<{answer: string, sender: string}|null>} null on timeout or when cleared
+   */
+  waitForAnswer(eventId, prompt, timeoutMs) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(async () => {
+        if (!this.takePrompt(eventId)) return;
+        resolve(null);
+        if (DEBUG) {
+          console.log(`[Listener] No answer for ${prompt.kind} prompt: ${eventId}`);
+        }
+        try {
+          await sendMarkdown(
+            this.client,
+            prompt.roomId,
+            "⏱️ No answer in time, falling back to the terminal prompt.",
+            prompt.threadId
+          );
+        } catch (e) {
+          // Best effort
+        }
+      }, timeoutMs);
+
+      this.trackPrompt(eventId, {
+        ...prompt,
+        onAnswer: (result) => {
+          clearTimeout(timer);
+          resolve(result);
+        },
+      });
+    });
+  }
+
+  /**
+   * Remember an AskUserQuestion call whose questions were sent as polls
+   * @param {string[]} pollEventIds - Event IDs of the polls, one per question
+   * @param {object} prompt - { roomId, sessionKey, tmuxTarget, questions }
+   */
+  trackQuestions(pollEventIds, prompt) {
+    // Shared by all polls of the call, so votes on any of them fill the same answers
+    const state = {
+      pollEventIds,
+      answers: pollEventIds.map(() => ({ selections: null, otherText: null })),
+    };
+    for (const eventId of pollEventIds) {
+      this.trackPrompt(eventId, { ...prompt, kind: "question", state });
+    }
+  }
+
+  // Find the question prompt in a room that is waiting for "Other" text
+  findAwaitingOther(roomId) {
+    for (const prompt of this.pendingPrompts.prompts.values()) {
+      if (prompt.kind !== "question" || prompt.roomId !== roomId) continue;
+      const index = prompt.state.answers.findIndex(
+        (a) => a.selections?.includes(OTHER_ANSWER_ID) && a.otherText === null
+      );
+      if (index !== -1) {
+        return { prompt, index };
+      }
+    }
+    return null;
+  }
+
+  // Use a text message as the "Other" answer of a pending question; returns true if consumed
+  handleOtherAnswer(roomId, message) {
+    const awaiting = this.findAwaitingOther(roomId);
+    if (!awaiting) return false;
+
+    awaiting.prompt.state.answers[awaiting.index].otherText = message;
+    this.submitQuestionsIfComplete(awaiting.prompt).catch((e) => {
+      if (DEBUG) {
+        console.error("[Listener] Failed to submit answers:", e.message);
+      }
+    });
+    return true;
+  }
+
+  // Handle a vote on one of our question polls
+  async handlePollResponse(content, roomId) {
+    const response = parsePollResponse(content);
+    if (!response) return;
+
+    const prompt = this.pendingPrompts.get(response.pollEventId);
+    if (!prompt || prompt.kind !== "question" || prompt.roomId !== roomId) {
+      if (DEBUG) {
+        console.log(`[Listener] Ignoring vote on unknown or stale poll: ${response.pollEventId}`);
+      }
+      return;
+    }
+
+    if (this.myTmuxTarget && prompt.tmuxTarget !== this.myTmuxTarget) return;
+    this.cancelEscalation(prompt.state.pollEventIds[0]);
+
+    // A later vote replaces the earlier one
+    const index = prompt.state.pollEventIds.indexOf(response.pollEventId);
+    prompt.state.answers[index] = { selections: response.answers, otherText: null };
+
+    if (response.answers.includes(OTHER_ANSWER_ID)) {
+      const header = prompt.questions[index].header || "Question";
+      await sendMarkdown(this.client, roomId, `✏️ Reply with your answer for "${header}".`, prompt.threadId);
+      return;
+    }
+
+    await this.submitQuestionsIfComplete(prompt);
+  }
+
+  // Type the answers into the pane once every question has been answered
+  async submitQuestionsIfComplete(prompt) {
+    const { state } = prompt;
+    const complete = state.answers.every(
+      // A retracted vote leaves an empty selection, which answers nothing
+      (a) => a.selections?.length > 0 && (!a.selections.includes(OTHER_ANSWER_ID) || a.otherText !== null)
+    );
+    if (!complete) return;
+
+    for (const eventId of state.pollEventIds) {
+      this.takePrompt(eventId);
+    }
+
+    if (DEBUG) {
+      console.log(`[Listener] Submitting answers to ${state.pollEventIds.length} question(s)`);
+    }
+
+    let sent = true;
+    for (const step of buildQuestionKeys(prompt.questions, state.answers)) {
+      sent = step.text !== undefined
+        ? sendToTmux(prompt.tmuxTarget, step.text)
+        : sendKeysToTmux(prompt.tmuxTarget, step.keys);
+      if (!sent) break;
+    }
+
+    if (sent) {
+      this.sessionState?.markWorking();
+    }
+    const reply = sent ? "✅ Answers submitted." : "Failed to enter the answers in the terminal.";
+    await sendMarkdown(this.client, prompt.roomId, reply, prompt.threadId);
+  }
+
+  /**
+   * Forget pending prompts (the terminal has moved on, so reactions are stale)
+   * @param {object} [options]
+   * @param {boolean} [options.keepBlocking] - Leave blocking hooks' waits alone, e.g. when a
+   *                                           parallel tool asks for permission while they run
+   */
+  clearPrompts({ keepBlocking = false } = {}) {
+    const dropped = this.pendingPrompts.clear((prompt) => keepBlocking && !!prompt.onAnswer);
+    for (const prompt of dropped) {
+      this.cancelEscalation(prompt.eventId);
+      prompt.onAnswer?.(null);
+    }
+    if (DEBUG && dropped.length > 0) {
+      console.log(`[Listener] Dropped ${dropped.length} stale prompt(s)`);
+    }
+  }
+
+  // Handle a reaction to one of our prompts
+  async handleReaction(content, roomId, sender) {
+    const relation = content["m.relates_to"];
+    if (!relation || relation.rel_type !== "m.annotation") return;
+
+    const answer = getPermissionAnswer(relation.key);
+    if (!answer) return;
+
+    const prompt = this.pendingPrompts.get(relation.event_id);
+    if (!prompt || prompt.kind !== "permission" || prompt.roomId !== roomId) {
+      if (DEBUG) {
+        console.log(`[Listener] Ignoring reaction to unknown or stale prompt: ${relation.event_id}`);
+      }
+      return;
+    }
+
+    if (this.myTmuxTarget && prompt.tmuxTarget !== this.myTmuxTarget) return;
+
+    this.takePrompt(relation.event_id);
+
+    if (DEBUG) {
+      console.log(`[Listener] Answering ${prompt.kind} prompt with "${answer}"`);
+    }
+
+    // A blocking hook is waiting on this prompt - hand it the answer directly
+    if (prompt.onAnswer) {
+      prompt.onAnswer({ answer, sender });
+      await sendMarkdown(this.client, roomId, PERMISSION_CONFIRMATIONS[answer], prompt.threadId);
+      return;
+    }
+
+    const sent = sendKeysToTmux(prompt.tmuxTarget, PERMISSION_KEYS[answer]);
+    if (sent && answer !== "deny") {
+      this.sessionState?.markWorking();
+    }
+    const reply = sent ? PERMISSION_CONFIRMATIONS[answer] : "Failed to answer the prompt in the terminal.";
+    await sendMarkdown(this.client, roomId, reply, prompt.threadId);
+  }
+
+  /**
+   * Check a sender against allowedSenders and, with checkRoomMembers, the room's members
+   * and join rule. Refusals in session rooms are logged and announced once in the room.
+   * @returns {boolean}
+   */
+  isInputAllowed(sender, room) {
+    const roomId = room.roomId;
+    // Rooms that aren't ours are ignored later anyway; don't log strangers' DMs
+    const isSessionRoom = !!this.roomToSession[roomId];
+
+    // key identifies the warning, so each is posted once per room
+    let problem = null;
+    if (!this.allowedSenders.has(sender)) {
+      const allowed = [...this.allowedSenders].join(", ") || "nobody";
+      problem = {
+        key: sender,
+        reason: "sender is not in allowedSenders",
+        warning: `⚠️ Ignored input from ${sender}: only ${allowed} can control this session.`,
+      };
+    } else if (this.checkRoomMembers) {
+      const roomProblem = this.checkRoom(room);
+      if (roomProblem) {
+        problem = {
+          key: roomProblem,
+          reason: roomProblem,
+          warning: `⚠️ Input is disabled in this room: ${roomProblem}.`,
+        };
+      }
+    }
+
+    if (!problem) return true;
+    if (!isSessionRoom) return false;
+
+    logRefusal(roomId, sender, problem.reason);
+
+    const warnKey = `${roomId}|${problem.key}`;
+    if (!this.warned.has(warnKey)) {
+      this.warned.add(warnKey);
+      sendMarkdown(this.client, roomId, problem.warning).catch(() => {});
+    }
+    return false;
+  }
+
+  // Describe why a room isn't private to the bot and the allowed senders, or null if it is
+  checkRoom(room) {
+    const joinRule = room.getJoinRule();
+    if (!PRIVATE_JOIN_RULES.includes(joinRule)) {
+      return `the room's join rule is "${joinRule}"`;
+    }
+
+    const unexpected = room
+      .getMembers()
+      .filter((m) => m.membership === "join" || m.membership === "invite")
+      .map((m) => m.userId)
+      .filter((userId) => userId !== this.session.userId && !this.allowedSenders.has(userId));
+    if (unexpected.length > 0) {
+      return `unexpected members ${unexpected.join(", ")}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Save an image or file sent from Matrix and give Claude its path, with any caption as the prompt
+   */
+  async handleAttachment(content, roomId, tmuxTarget, threadId = null) {
+    if (!this.attachmentDir) {
+      await sendMarkdown(this.client, roomId, "Files are only accepted for sessions started with `jackpoint`.", threadId);
+      return;
+    }
+
+    // With a separate filename, the body is a caption (Matrix media captions)
+    const fileName = content.filename || content.body;
+    const caption = content.filename && content.body !== content.filename ? content.body.trim() : "";
+
+    let filePath;
+    try {
+      const data = await downloadAttachment(this.client, content, getConfig().maxAttachmentSize);
+      mkdirSync(this.attachmentDir, { recursive: true, mode: 0o700 });
+      filePath = join(this.attachmentDir, `${Date.now()}-${sanitizeFileName(fileName)}`);
+      writeFileSync(filePath, data, { mode: 0o600 });
+    } catch (e) {
+      if (DEBUG) {
+        console.error("[Listener] Failed to save attachment:", e.message);
+      }
+      await sendMarkdown(this.client, roomId, `Failed to receive file: ${e.message}`, threadId);
+      return;
+    }
+
+    if (DEBUG) {
+      console.log(`[Listener] Saved attachment to ${filePath}`);
+    }
+
+    const sent = sendToTmux(tmuxTarget, caption ? `${caption} ${filePath}` : filePath);
+    const reply = sent
+      ? `📥 Saved \`${basename(filePath)}\` and sent it to Claude.`
+      : "Saved the file but failed to send it to the terminal.";
+    await sendMarkdown(this.client, roomId, reply, threadId);
+  }
+
+  // Handle Jackpoint commands (replies go to the thread the command was sent in)
+  async handleCommand(cmd, roomId, tmuxTarget, threadId = null) {
+    if (DEBUG) {
+      console.log(`[Listener] Command: ${COMMAND_PREFIX}${cmd.command}`, cmd.args);
     }
 
     switch (cmd.command) {
@@ -263,23 +977,155 @@ export class MatrixListener {
         const output = captureTmuxLines(tmuxTarget, lineCount);
         if (output) {
           const response = `\`\`\`\n${output}\n\`\`\``;
-          await this.client.sendTextMessage(roomId, response);
+          // Too long for the room: attach the raw capture, preview its last lines
+          const preview = `\`\`\`\n${output.split("\n").slice(-15).join("\n")}\n\`\`\``;
+          await sendLongMarkdown(this.client, roomId, response, {
+            threadId,
+            file: {
+              name: "terminal.txt",
+              mimetype: "text/plain",
+              content: output,
+              preview,
+            },
+          });
         } else {
-          await this.client.sendTextMessage(roomId, "Failed to capture terminal output.");
+          await sendMarkdown(this.client, roomId, "Failed to capture terminal output.", threadId);
+        }
+        break;
+      }
+
+      case "keys": {
+        const { keys, error } = parseKeys(cmd.args);
+        if (error) {
+          const allowed = Object.keys(KEY_ALIASES).join(", ");
+          await sendMarkdown(this.client, roomId, `${error}\nAllowed keys: ${allowed}`, threadId);
+          break;
+        }
+        const sent = sendKeysToTmux(tmuxTarget, keys);
+        await sendMarkdown(this.client, roomId, sent ? `⌨️ Sent: ${cmd.args.join(" ")}` : "Failed to send keys.", threadId);
+        break;
+      }
+
+      case "status": {
+        if (!this.sessionState) {
+          await sendMarkdown(this.client, roomId, "Status is only available for sessions started with `jackpoint`.", threadId);
+          break;
         }
+        const status = this.sessionState.format({
+          git: getGitStatus(this.sessionState.cwd),
+          pending: [...this.pendingPrompts.prompts.values()],
+        });
+        await sendMarkdown(this.client, roomId, status, threadId);
+        break;
+      }
+
+      case "diff": {
+        const options = parseDiffArgs(cmd.args);
+        if (options.error) {
+          await sendMarkdown(this.client, roomId, options.error, threadId);
+          break;
+        }
+
+        const cwd = this.sessionState?.cwd || process.cwd();
+        const root = getGitRoot(cwd);
+        if (!root) {
+          await sendMarkdown(this.client, roomId, "Not in a git repository.", threadId);
+          break;
+        }
+
+        // The path is given relative to the session's directory, like in Claude's terminal
+        if (options.path) {
+          options.path = relative(root, resolve(cwd, options.path)) || ".";
+          if (options.path.startsWith("..") || isAbsolute(options.path)) {
+            await sendMarkdown(this.client, roomId, "That path is outside the repository.", threadId);
+            break;
+          }
+        }
+
+        const result = getGitDiff(root, options);
+        if (!result) {
+          await sendMarkdown(this.client, roomId, "Failed to run `git diff`. Check the ref and path.", threadId);
+          break;
+        }
+        if (!result.diff.trim()) {
+          await sendMarkdown(this.client, roomId, "No changes.", threadId);
+          break;
+        }
+
+        // git runs in the repository root, so its paths are relative to that, not the session's cwd
+        const untracked = options.staged ? " Untracked files are not staged, so they're left out." : "";
+        await sendLongMarkdown(
+          this.client,
+          roomId,
+          `Paths relative to the repository root \`${root}\`:${untracked}\n\`\`\`\n${result.stat}\n\`\`\``,
+          { threadId }
+        );
+        await sendFile(
+          this.client,
+          roomId,
+          { name: "changes.diff", mimetype: "text/x-diff", content: result.diff },
+          threadId
+        );
+        break;
+      }
+
+      case "transcript": {
+        const transcriptPath = this.sessionState?.transcriptPath;
+        if (!transcriptPath) {
+          await sendMarkdown(this.client, roomId, "No transcript yet for this session.", threadId);
+          break;
+        }
+
+        // A negative count would slice from the start and silently drop the first turns
+        const turns = cmd.args[0] === undefined ? null : Number(cmd.args[0]);
+        if (turns !== null && !(Number.isInteger(turns) && turns > 0)) {
+          await sendMarkdown(
+            this.client,
+            roomId,
+            `The number of turns must be a positive whole number, e.g. \`${COMMAND_PREFIX}transcript 5\`.`,
+            threadId
+          );
+          break;
+        }
+
+        let exported;
+        try {
+          exported = transcriptToMarkdown(readTranscript(transcriptPath), { turns });
+        } catch (e) {
+          await sendMarkdown(this.client, roomId, `Failed to read transcript: ${e.message}`, threadId);
+          break;
+        }
+
+        const name = `transcript-${(this.sessionState.sessionId || "session").slice(0, 8)}.md`;
+        await sendMarkdown(this.client, roomId, `📜 Transcript (${exported.turns} turn${exported.turns === 1 ? "" : "s"})`, threadId);
+        await sendFile(this.client, roomId, { name, mimetype: "text/markdown", content: exported.markdown }, threadId);
         break;
       }
 
       case "help": {
+        const p = COMMAND_PREFIX;
+        const passthrough = STRICT_COMMANDS
+          ? ""
+          : "\n\nAnything else, including Claude's `/commands` and `!` shell commands, is sent to Claude.";
         const helpText = `**Available commands:**
-- \`/lines [n]\` - Show last n lines of terminal (default: 30)
-- \`/help\` - Show this help message`;
-        await this.client.sendTextMessage(roomId, helpText);
+- \`${p}lines [n]\` - Show last n lines of terminal (default: 30)
+- \`${p}status\` - Show session status
+- \`${p}diff [--staged] [--ref <ref>] [path]\` - Show changes and attach the full diff
+- \`${p}transcript [n]\` - Attach the session transcript (last n turns)
+- \`${p}keys <key>...\` - Send keys, e.g. \`${p}keys esc\`, \`${p}keys down*2 enter\`, \`${p}keys c-c\`
+- \`${p}help\` - Show this help message${passthrough}`;
+        await sendMarkdown(this.client, roomId, helpText, threadId);
         break;
       }
 
       default:
-        await this.client.sendTextMessage(roomId, `Unknown command: /${cmd.command}. Type /help for available commands.`);
+        // Only reached with strictCommands
+        await sendMarkdown(
+          this.client,
+          roomId,
+          `Unknown command: ${COMMAND_PREFIX}${cmd.command}. Type ${COMMAND_PREFIX}help for available commands.`,
+          threadId
+        );
     }
   }
 
@@ -291,9 +1137,16 @@ export class MatrixListener {
     }
   }
 
-  stop() {
+  async stop() {
+    this.cancelEscalations();
+
+    // Received files only live as long as the session
+    if (this.attachmentDir) {
+      rmSync(this.attachmentDir, { recursive: true, force: true });
+    }
+
     if (this.client) {
-      this.client.stopClient();
+      await closeClient();
       if (DEBUG) {
         console.log("[Listener] Matrix client stopped");
       }
@@ -305,8 +1158,8 @@ export class MatrixListener {
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
   const listener = new MatrixListener();
 
-  process.on("SIGINT", () => {
-    listener.stop();
+  process.on("SIGINT", async () => {
+    await listener.stop();
     process.exit(0);
   });
 
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSetupArgs, parseConfigValue } from "../lib/config-cli.js";
+
+test("setup flags win over the environment", () => {
+  const { preset, error } = parseSetupArgs(
+    ["--user=@bot:example.org", "--no-encryption", "--yes", "--recipient", "@you:example.org"],
+    { JACKPOINT_PASSWORD: "secret", JACKPOINT_ENCRYPTION: "true", JACKPOINT_USER: "@other:example.org" }
+  );
+  assert.equal(error, null);
+  assert.deepEqual(preset, {
+    password: "secret",
+    encryption: false,
+    user: "@bot:example.org",
+    yes: true,
+    recipient: "@you:example.org",
+  });
+});
+
+test("bad setup flags are reported", () => {
+  assert.equal(parseSetupArgs(["--recipient", "--yes"], {}).error, "--recipient needs a value");
+  assert.equal(parseSetupArgs(["--bogus"], {}).error, "Unknown setup option: --bogus");
+  assert.equal(parseSetupArgs(["--encryption=maybe"], {}).error, "--encryption must be true or false");
+  assert.equal(parseSetupArgs([], { JACKPOINT_ENCRYPTION: "maybe" }).error, "JACKPOINT_ENCRYPTION must be true or false");
+});
+
+test("config values are parsed by type", () => {
+  assert.deepEqual(parseConfigValue("threads", "yes"), { value: true, error: null });
+  assert.deepEqual(parseConfigValue("maxChunks", "3"), { value: 3, error: null });
+  assert.deepEqual(parseConfigValue("homeserver", "https://matrix.example.org/"), {
+    value: "https://matrix.example.org",
+    error: null,
+  });
+  assert.deepEqual(parseConfigValue("allowedSenders", "@a:example.org, @b:example.org"), {
+    value: ["@a:example.org", "@b:example.org"],
+    error: null,
+  });
+  assert.deepEqual(parseConfigValue("escalateTo", "#ops:example.org"), { value: "#ops:example.org", error: null });
+});
+
+test("numbers respect their minimum", () => {
+  assert.deepEqual(parseConfigValue("dedupeWindow", "0"), { value: 0, error: null });
+  assert.match(parseConfigValue("escalateToAfter", "0").error, /positive whole number/);
+  assert.match(parseConfigValue("maxChunks", "1.5").error, /positive whole number/);
+});
+
+test("invalid values are rejected", () => {
+  assert.match(parseConfigValue("nope", "1").error, /Unknown config key/);
+  assert.match(parseConfigValue("verbosity", "loud").error, /one of: quiet, normal, verbose/);
+  assert.match(parseConfigValue("recipient", "you").error, /full Matrix user ID/);
+  assert.match(parseConfigValue("quietHours", "22:00-24:59").error, /comma-separated windows/);
+  assert.match(parseConfigValue("notificationRules", "[{").error, /valid JSON/);
+  assert.match(parseConfigValue("notificationRules", '[{"action":"mute"}]').error, /action must be one of/);
+});
+
+test("quiet hours and rules are stored parsed", () => {
+  assert.deepEqual(parseConfigValue("quietHours", "22:00-07:00, 12:00-13:00").value, ["22:00-07:00", "12:00-13:00"]);
+  assert.deepEqual(parseConfigValue("notificationRules", '[{"action":"drop","events":["idle"]}]').value, [
+    { action: "drop", events: ["idle"] },
+  ]);
+});
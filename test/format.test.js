@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderMarkdown, splitMarkdown, escapeHtml } from "../lib/format.js";
+
+test("markdown renders to HTML", () => {
+  assert.equal(renderMarkdown("**bold** and `code`"), "<p><strong>bold</strong> and <code>code</code></p>");
+  assert.equal(renderMarkdown(""), "");
+});
+
+test("raw HTML is shown as text", () => {
+  assert.equal(renderMarkdown("<script>alert(1)</script>"), "&lt;script&gt;alert(1)&lt;/script&gt;");
+  assert.equal(escapeHtml(`<a href="x">'</a>`), "&lt;a href=&quot;x&quot;&gt;&#39;&lt;/a&gt;");
+});
+
+test("only safe links are kept, and images become links", () => {
+  assert.equal(renderMarkdown("[bad](javascript:alert(1))"), "<p>bad</p>");
+  assert.equal(renderMarkdown("[good](https://example.org)"), '<p><a href="https://example.org">good</a></p>');
+  assert.equal(renderMarkdown("![shot](https://example.org/a.png)"), '<p><a href="https://example.org/a.png">shot</a></p>');
+});
+
+test("short text stays in one chunk", () => {
+  assert.deepEqual(splitMarkdown("one\ntwo", 100), ["one\ntwo"]);
+});
+
+test("chunks break between lines and stay within the limit", () => {
+  const text = Array.from({ length: 20 }, (_, i) => `line ${i}`).join("\n");
+  const chunks = splitMarkdown(text, 30);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 30, `${JSON.stringify(chunk)} is too long`);
+  }
+  assert.equal(chunks.join("\n"), text);
+});
+
+test("a code block split across chunks is closed and reopened", () => {
+  const chunks = splitMarkdown("intro\n```\nline1\nline2\nline3\n```\nafter", 20);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 20);
+    const fences = chunk.split("\n").filter((line) => line.startsWith("```")).length;
+    assert.equal(fences % 2, 0, `${JSON.stringify(chunk)} leaves a code block open`);
+  }
+});
+
+test("a line longer than a chunk is hard-split", () => {
+  const chunks = splitMarkdown("x".repeat(30), 14);
+  assert.deepEqual(chunks, ["x".repeat(10), "x".repeat(10), "x".repeat(10)]);
+});
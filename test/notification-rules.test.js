@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { homedir } from "os";
+import {
+  parseHours,
+  isQuietTime,
+  msUntilQuietEnds,
+  validateRules,
+  NotificationFilter,
+} from "../lib/notification-rules.js";
+
+// Local time on Monday 19 October 2026
+const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+const MINUTE = 60 * 1000;
+
+test("hour windows are parsed into minutes", () => {
+  assert.deepEqual(parseHours("22:00-07:30"), { from: 1320, to: 450 });
+  assert.deepEqual(parseHours(" 9:00 - 17:00 "), { from: 540, to: 1020 });
+  assert.deepEqual(parseHours("18:00-24:00"), { from: 1080, to: 1440 });
+  for (const bad of ["24:00-07:00", "22:00-24:59", "22:00-24:01", "22:60-07:00", "late", ""]) {
+    assert.equal(parseHours(bad), null, bad);
+  }
+});
+
+test("quiet hours may wrap past midnight", () => {
+  const quiet = ["22:00-07:00"];
+  assert.ok(isQuietTime(quiet, at(23)));
+  assert.ok(isQuietTime(quiet, at(6, 59)));
+  assert.ok(!isQuietTime(quiet, at(7)));
+  assert.ok(!isQuietTime(quiet, at(12)));
+  assert.ok(!isQuietTime([], at(23)));
+});
+
+test("time until quiet hours end follows overlapping windows", () => {
+  assert.equal(msUntilQuietEnds(["22:00-07:00"], at(12)), 0);
+  assert.equal(msUntilQuietEnds(["22:00-07:00"], at(23)), 8 * 60 * MINUTE);
+  assert.equal(msUntilQuietEnds(["22:00-07:00", "06:00-08:00"], at(23)), 9 * 60 * MINUTE);
+});
+
+test("rules are validated", () => {
+  assert.equal(validateRules([]), null);
+  assert.equal(validateRules([{ action: "silent", events: ["stop"], days: ["sat", "sun"], hours: "09:00-17:00" }]), null);
+  assert.match(validateRules({}), /must be a list/);
+  assert.match(validateRules([{ action: "mute" }]), /action must be one of/);
+  assert.match(validateRules([{ action: "drop", events: ["typo"] }]), /unknown event "typo"/);
+  assert.match(validateRules([{ action: "drop", days: ["monday"] }]), /unknown day "monday"/);
+  assert.match(validateRules([{ action: "drop", hours: "all day" }]), /hours must look like/);
+  assert.match(validateRules([{ action: "drop", dirs: "~/work" }]), /dirs must be a list of strings/);
+});
+
+test("the first matching rule picks the action", () => {
+  const filter = new NotificationFilter({
+    rules: [
+      { action: "drop", events: ["idle"] },
+      { action: "silent", sessions: ["laptop:*"] },
+      { action: "send", dirs: ["~/work"], days: ["mon"] },
+    ],
+  });
+  assert.equal(filter.check({ type: "idle", sessionKey: "laptop:1" }, at(12)), "drop");
+  assert.equal(filter.check({ type: "stop", sessionKey: "laptop:1" }, at(12)), "silent");
+  assert.equal(filter.check({ type: "stop", sessionKey: "server:1", cwd: `${homedir()}/work/app` }, at(12)), "send");
+  assert.equal(filter.check({ type: "stop", sessionKey: "server:1", cwd: "/tmp" }, at(12)), "send");
+});
+
+test("quiet hours make unmatched notifications silent", () => {
+  const filter = new NotificationFilter({ quietHours: ["22:00-07:00"], rules: [{ action: "send", events: ["permission"] }] });
+  assert.equal(filter.check({ type: "stop", sessionKey: "s" }, at(23)), "silent");
+  assert.equal(filter.check({ type: "permission", sessionKey: "s" }, at(23)), "send");
+  assert.equal(filter.check({ type: "stop", sessionKey: "s" }, at(12)), "send");
+});
+
+test("only an idle reminder right after the reply is a duplicate", () => {
+  const filter = new NotificationFilter({ dedupeWindow: 300 });
+  const session = "host:0.1";
+
+  assert.equal(filter.check({ type: "stop", sessionKey: session }, at(12)), "send");
+  assert.equal(filter.check({ type: "idle", sessionKey: session }, at(12, 1)), "drop");
+  // A dropped reminder doesn't extend the window
+  assert.equal(filter.check({ type: "idle", sessionKey: session }, at(12, 6)), "send");
+
+  // Prompts and replies always go out, even when they repeat
+  assert.equal(filter.check({ type: "permission", sessionKey: session }, at(12, 7)), "send");
+  assert.equal(filter.check({ type: "permission", sessionKey: session }, at(12, 7)), "send");
+  assert.equal(filter.check({ type: "idle", sessionKey: session }, at(12, 8)), "send");
+  assert.equal(filter.check({ type: "stop", sessionKey: session }, at(12, 8)), "send");
+  assert.equal(filter.check({ type: "stop", sessionKey: session }, at(12, 8)), "send");
+
+  // Other sessions have their own history
+  assert.equal(filter.check({ type: "idle", sessionKey: "other" }, at(12, 8)), "send");
+});
+
+test("a dedupe window of 0 turns deduplication off", () => {
+  const filter = new NotificationFilter({ dedupeWindow: 0 });
+  assert.equal(filter.check({ type: "stop", sessionKey: "s" }, at(12)), "send");
+  assert.equal(filter.check({ type: "idle", sessionKey: "s" }, at(12)), "send");
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PendingPrompts, getPermissionAnswer, normalizeReactionKey } from "../lib/pending-prompts.js";
+
+test("reaction keys map to permission answers", () => {
+  assert.equal(getPermissionAnswer("✅"), "allow");
+  assert.equal(getPermissionAnswer("👍"), "allow");
+  assert.equal(getPermissionAnswer("🔁"), "always");
+  assert.equal(getPermissionAnswer("❌"), "deny");
+  assert.equal(getPermissionAnswer("👎"), "deny");
+  assert.equal(getPermissionAnswer("🎉"), null);
+  assert.equal(getPermissionAnswer(undefined), null);
+});
+
+test("variation selectors and whitespace don't change the answer", () => {
+  assert.equal(normalizeReactionKey("✅️ "), "✅");
+  assert.equal(getPermissionAnswer("✅️"), "allow");
+  assert.equal(getPermissionAnswer(" ❌️"), "deny");
+});
+
+test("prompts are taken once", () => {
+  const prompts = new PendingPrompts();
+  prompts.add("$event", { kind: "permission", roomId: "!room:example.org" });
+  prompts.add(null, { kind: "permission" });
+
+  assert.equal(prompts.size, 1);
+  assert.equal(prompts.get("$event").eventId, "$event");
+  assert.equal(prompts.take("$event").roomId, "!room:example.org");
+  assert.equal(prompts.take("$event"), null);
+  assert.equal(prompts.size, 0);
+});
+
+test("clear drops prompts except the ones kept", () => {
+  const prompts = new PendingPrompts();
+  prompts.add("$a", { kind: "permission" });
+  prompts.add("$b", { kind: "question" });
+
+  const dropped = prompts.clear((prompt) => prompt.kind === "question");
+  assert.deepEqual(dropped.map((prompt) => prompt.eventId), ["$a"]);
+  assert.deepEqual([...prompts.prompts.keys()], ["$b"]);
+});
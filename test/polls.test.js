@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildPollContent,
+  buildQuestionKeys,
+  parsePollResponse,
+  isPollResponse,
+  POLL_START_TYPE,
+  OTHER_ANSWER_ID,
+} from "../lib/polls.js";
+
+const pick = { question: "Which one?", options: [{ label: "x" }, { label: "y" }, { label: "z" }] };
+const multi = { question: "Which ones?", multiSelect: true, options: [{ label: "x" }, { label: "y" }, { label: "z" }] };
+
+test("a single choice moves down to the option and picks it", () => {
+  assert.deepEqual(buildQuestionKeys([pick], [{ selections: ["option-2"], otherText: null }]), [
+    { keys: ["Down", "Down", "Enter"] },
+  ]);
+});
+
+test("Other moves past the options and types the text", () => {
+  assert.deepEqual(buildQuestionKeys([pick], [{ selections: [OTHER_ANSWER_ID], otherText: "neither" }]), [
+    { keys: ["Down", "Down", "Down", "Enter"] },
+    { text: "neither" },
+  ]);
+});
+
+test("multi-select toggles options in order, moves on and submits from the review screen", () => {
+  const answers = [
+    { selections: ["option-1"], otherText: null },
+    { selections: ["option-2", "option-0"], otherText: null },
+  ];
+  assert.deepEqual(buildQuestionKeys([pick, multi], answers), [
+    { keys: ["Down", "Enter"] },
+    { keys: ["Enter"] },
+    { keys: ["Down", "Down", "Enter"] },
+    { keys: ["Right"] },
+    { keys: ["Enter"] },
+  ]);
+});
+
+test("options that don't exist are ignored", () => {
+  assert.deepEqual(buildQuestionKeys([pick], [{ selections: ["option-7", "option-1"], otherText: null }]), [
+    { keys: ["Down", "Enter"] },
+  ]);
+});
+
+test("poll content lists the options plus Other", () => {
+  const content = buildPollContent({ ...pick, header: "Pick" });
+  const poll = content[POLL_START_TYPE];
+  assert.equal(poll.max_selections, 1);
+  assert.deepEqual(
+    poll.answers.map((answer) => answer.id),
+    ["option-0", "option-1", "option-2", OTHER_ANSWER_ID]
+  );
+  assert.match(content.body, /^Pick: Which one\?\n1\. x/);
+  assert.equal(buildPollContent(multi)[POLL_START_TYPE].max_selections, 4);
+});
+
+test("poll responses are parsed from either event type name", () => {
+  assert.ok(isPollResponse("m.poll.response"));
+  assert.ok(isPollResponse("org.matrix.msc3381.poll.response"));
+  assert.ok(!isPollResponse("m.room.message"));
+
+  const content = {
+    "m.relates_to": { rel_type: "m.reference", event_id: "$poll" },
+    "org.matrix.msc3381.poll.response": { answers: ["option-1"] },
+  };
+  assert.deepEqual(parsePollResponse(content), { pollEventId: "$poll", answers: ["option-1"] });
+  assert.equal(parsePollResponse({ "m.relates_to": { rel_type: "m.annotation", event_id: "$poll" } }), null);
+});